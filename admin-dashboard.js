@@ -1,65 +1,334 @@
 // Import Firebase services from config
-import { db, auth } from './firebase-config.js';
-import { ref, onValue, off, update, remove } from "https://www.gstatic.com/firebasejs/12.5.0/firebase-database.js";
+import { db, auth, storage } from './firebase-config.js';
+import { USE_CLOUDINARY, CLOUDINARY_CLOUD_NAME, CLOUDINARY_UPLOAD_PRESET, CLOUDINARY_FOLDER } from './media-config.js';
+import { createHistoryEntry } from './complaint-history.js';
+import { addTrackingUpdate } from './complaint-tracking.js';
+import { getStatusWorkflow, validateStatusTransition, getStatusLabel } from './complaint-workflow.js';
+import { createNotificationEntry, sendNotification, NOTIFICATION_TYPES } from './notifs.js';
+import { getLinkedComplaints } from './complaint-duplicates.js';
+import { getUserAccess, hasPermission, canAccessComplaint, ROLES, CLOSING_STATUSES } from './auth.js';
+import { commitWithAudit, AUDIT_ACTIONS } from './audit-log.js';
+import { isConfidential } from './complaint-confidentiality.js';
+import { addTransitionTimestamps } from './complaint-timing.js';
+import { addComplaintImage } from './complaint-images.js';
+import { getBarangayKey } from './complaint-location.js';
+import { ref, query, orderByChild, orderByKey, equalTo, startAt, startAfter, limitToFirst, onValue, off, update } from "https://www.gstatic.com/firebasejs/12.5.0/firebase-database.js";
 import { get } from "https://www.gstatic.com/firebasejs/12.5.0/firebase-database.js";
+import { ref as storageRef, uploadBytes, getDownloadURL } from "https://www.gstatic.com/firebasejs/12.5.0/firebase-storage.js";
+
+// Closed complaints filed within this many days stay in the dashboard's working set
+export const RECENT_COMPLAINT_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Complaints read per batch while adding barangay keys
+const KEY_BATCH_SIZE = 50;
 
 /**
- * Get all complaints (admin only)
+ * Get the complaints the admin dashboard works with
+ * Admins and supervisors get every open complaint (one query per open status) and every complaint filed in the
+ * last RECENT_COMPLAINT_DAYS days, instead of the whole complaints node; older closed complaints are reached through
+ * the paged list (complaint-paging.js) and counted in the published statistics. Staff and barangay officials get
+ * the complaints in their scope, through queries the database rules allow for that scope.
  * @param {Function} callback - Callback function that receives complaints array
  * @returns {Function} Unsubscribe function
  */
-export function getAllComplaints(callback) {
+export function getWorkingComplaints(callback) {
+    return listenToComplaintQueries(getWorkingQueries, callback);
+}
+
+/**
+ * Get one complaint the current user may see
+ * @param {string} complaintId - Complaint ID
+ * @returns {Promise<Object|null>} Complaint (with id), or null if it does not exist or is out of scope
+ */
+export async function getComplaint(complaintId) {
     try {
+        const [snapshot, access] = await Promise.all([get(ref(db, `complaints/${complaintId}`)), getUserAccess()]);
+        const complaint = snapshot.val();
+        return complaint && canAccessComplaint(access, complaint) ? { id: complaintId, ...complaint } : null;
+    } catch (error) {
+        console.error("Error getting complaint:", error);
+        return null;
+    }
+}
+
+/**
+ * Read the complaints the current user may see that were filed, or reached a milestone, since a given time
+ * The complaints are read once, without listening. Admins and supervisors query each timestamp field, so only
+ * that span is read; staff and barangay officials read their scope and keep the span.
+ * @param {number} from - Earliest time (0 reads every complaint)
+ * @param {Array<string>} fields - Timestamp fields, any of which may fall in the span (each has an .indexOn entry)
+ * @returns {Promise<Array<Object>>} Complaints (with id), newest first
+ */
+export async function getComplaintsSince(from, fields = ['createdAt']) {
+    try {
+        const access = await getUserAccess();
         const complaintsRef = ref(db, 'complaints');
-        
-        // Listen for all complaints in real-time
-        onValue(complaintsRef, (snapshot) => {
-            const complaints = [];
+        const queries = hasPermission(access, 'viewAll') && from
+            ? fields.map(field => query(complaintsRef, orderByChild(field), startAt(from)))
+            : getScopeQueries(access);
+        const snapshots = await Promise.all(queries.map(scopeQuery => get(scopeQuery)));
+
+        const byId = {};
+        snapshots.forEach((snapshot) => {
             snapshot.forEach((childSnapshot) => {
-                complaints.push({
-                    id: childSnapshot.key,
-                    ...childSnapshot.val()
-                });
+                const complaint = childSnapshot.val();
+                if (canAccessComplaint(access, complaint) && fields.some(field => (complaint[field] || 0) >= from)) {
+                    byId[childSnapshot.key] = complaint;
+                }
             });
+        });
+        const complaints = Object.keys(byId).map(id => ({ id, ...byId[id] }));
+        complaints.sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
+        return complaints;
+    } catch (error) {
+        console.error("Error getting complaints:", error);
+        return [];
+    }
+}
+
+/**
+ * Give complaints filed before barangay keys their key (admins only)
+ * Barangay officials list their complaints by barangayKey, so older complaints with a barangay and city
+ * need one to show up. Complaints are read a batch at a time by key; once all of them have been checked,
+ * system/barangayKeysAddedAt is set and later calls return straight away.
+ * @returns {Promise<Object>} Result object with the number of complaints updated
+ */
+export async function addBarangayKeys() {
+    try {
+        const doneSnap = await get(ref(db, 'system/barangayKeysAddedAt'));
+        if (doneSnap.exists()) {
+            return {
+                success: true,
+                updated: 0
+            };
+        }
+
+        const complaintsRef = ref(db, 'complaints');
+        let updated = 0;
+        let lastKey = null;
+        for (;;) {
+            const pageQuery = lastKey
+                ? query(complaintsRef, orderByKey(), startAfter(lastKey), limitToFirst(KEY_BATCH_SIZE))
+                : query(complaintsRef, orderByKey(), limitToFirst(KEY_BATCH_SIZE));
+            const snapshot = await get(pageQuery);
+            const updates = {};
+            snapshot.forEach((childSnapshot) => {
+                lastKey = childSnapshot.key;
+                const complaint = childSnapshot.val() || {};
+                const barangayKey = getBarangayKey(complaint.locationDetails);
+                if (barangayKey && complaint.barangayKey !== barangayKey) {
+                    updates[`complaints/${childSnapshot.key}/barangayKey`] = barangayKey;
+                    updated++;
+                }
+            });
+            if (Object.keys(updates).length) {
+                await update(ref(db), updates);
+            }
+            if (snapshot.size < KEY_BATCH_SIZE) break;
+        }
+
+        await update(ref(db), { 'system/barangayKeysAddedAt': Date.now() });
+        return {
+            success: true,
+            updated: updated
+        };
+    } catch (error) {
+        console.error("Error adding barangay keys:", error);
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+}
+
+/**
+ * Listen to the complaints of several queries and merge them
+ * @param {Function} buildQueries - Receives the result of getUserAccess and returns (a promise of) the queries
+ * @param {Function} callback - Callback function that receives complaints array (newest first)
+ * @returns {Function} Unsubscribe function
+ */
+function listenToComplaintQueries(buildQueries, callback) {
+    const unsubscribers = [];
+    let stopped = false;
+
+    getUserAccess().then(async (access) => {
+        const queries = await buildQueries(access);
+        if (stopped) return;
+        const results = queries.map(() => ({}));
+
+        const emit = () => {
+            const byId = {};
+            results.forEach(result => Object.assign(byId, result));
+            const complaints = Object.keys(byId).map(id => ({ id, ...byId[id] }));
             // Sort by creation date (newest first)
             complaints.sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
             callback(complaints);
+        };
+
+        if (!queries.length) {
+            callback([]);
+            return;
+        }
+
+        // Listen for every query in real-time and merge the results
+        queries.forEach((scopeQuery, index) => {
+            unsubscribers.push(onValue(scopeQuery, (snapshot) => {
+                const found = {};
+                snapshot.forEach((childSnapshot) => {
+                    const complaint = childSnapshot.val();
+                    if (canAccessComplaint(access, complaint)) {
+                        found[childSnapshot.key] = complaint;
+                    }
+                });
+                results[index] = found;
+                emit();
+            }, (error) => {
+                console.error("Error getting complaints:", error);
+            }));
         });
-        
-        // Return function to unsubscribe
-        return () => off(complaintsRef);
-    } catch (error) {
-        console.error("Error getting all complaints:", error);
+    }).catch((error) => {
+        console.error("Error getting complaints:", error);
         callback([]);
-        return () => {}; // Return empty unsubscribe function
+    });
+
+    // Return function to unsubscribe
+    return () => {
+        stopped = true;
+        unsubscribers.forEach(unsubscribe => unsubscribe());
+    };
+}
+
+/**
+ * Build the complaint queries that cover a user's scope
+ * @param {Object|null} access - Result of getUserAccess
+ * @returns {Array<Object>} Database queries (empty if the user may not list complaints)
+ */
+function getScopeQueries(access) {
+    const complaintsRef = ref(db, 'complaints');
+    if (hasPermission(access, 'viewAll')) {
+        return [complaintsRef];
+    }
+
+    const scope = (access && access.scope) || {};
+    if (access && access.role === ROLES.STAFF) {
+        return [
+            ...Object.keys(scope.categories || {}).map(category => query(complaintsRef, orderByChild('category'), equalTo(category))),
+            query(complaintsRef, orderByChild('assignedTo/userId'), equalTo(access.uid)),
+            ...(scope.departmentId ? [query(complaintsRef, orderByChild('assignedTo/departmentId'), equalTo(scope.departmentId))] : [])
+        ];
     }
+    const barangayKey = getBarangayKey(scope);
+    if (access && access.role === ROLES.BARANGAY && barangayKey) {
+        return [query(complaintsRef, orderByChild('barangayKey'), equalTo(barangayKey))];
+    }
+    return [];
 }
 
 /**
- * Update complaint status (admin only)
+ * Build the complaint queries of the dashboard's working set
+ * @param {Object|null} access - Result of getUserAccess
+ * @returns {Promise<Array<Object>>} Database queries
+ */
+async function getWorkingQueries(access) {
+    if (!hasPermission(access, 'viewAll')) {
+        return getScopeQueries(access);
+    }
+    const complaintsRef = ref(db, 'complaints');
+    const workflow = await getStatusWorkflow();
+    // Disabled statuses are included, complaints may still be in them
+    const openStatuses = Object.keys(workflow.statuses || {}).filter(status => !CLOSING_STATUSES.includes(status));
+    return [
+        ...openStatuses.map(status => query(complaintsRef, orderByChild('status'), equalTo(status))),
+        query(complaintsRef, orderByChild('createdAt'), startAt(Date.now() - RECENT_COMPLAINT_DAYS * DAY_MS))
+    ];
+}
+
+/**
+ * Update complaint status (admins, supervisors, and staff within their scope; only the first two may close)
+ * The change must be allowed by the status workflow and is appended to complaintHistory/{complaintId}
+ * The complaint owner is notified in the same update; complaints merged into this one take the same status
+ * and their reporters are notified too. The time of the change is kept as the complaint's transition timestamp.
  * @param {string} complaintId - Complaint ID
  * @param {string} newStatus - New status (pending, in_progress, resolved, rejected)
  * @param {string} adminNotes - Optional admin notes
+ * @param {string} proofURL - Optional proof image URL for this change
  * @returns {Promise<Object>} Result object
  */
-export async function updateComplaintStatus(complaintId, newStatus, adminNotes = null) {
+export async function updateComplaintStatus(complaintId, newStatus, adminNotes = null, proofURL = null) {
     try {
+        const user = auth.currentUser;
+        if (!user) {
+            return {
+                success: false,
+                error: "You must be logged in to update a complaint"
+            };
+        }
+
+        const access = await getUserAccess();
+        if (!hasPermission(access, 'changeStatus')) {
+            return {
+                success: false,
+                error: "Your role cannot change complaint statuses"
+            };
+        }
+        if (CLOSING_STATUSES.includes(newStatus) && !hasPermission(access, 'closeComplaint')) {
+            return {
+                success: false,
+                error: "Only supervisors can close complaints"
+            };
+        }
+
         const complaintRef = ref(db, `complaints/${complaintId}`);
-        
-        const updates = {
-            status: newStatus,
-            updatedAt: Date.now()
-        };
-        
-        if (adminNotes) {
-            updates.adminNotes = adminNotes;
+        const snapshot = await get(complaintRef);
+        if (!snapshot.exists()) {
+            return {
+                success: false,
+                error: "Complaint not found"
+            };
         }
+        const complaint = snapshot.val();
+
+        const workflow = await getStatusWorkflow();
+        const check = validateStatusTransition(workflow, complaint.status, newStatus, {
+            note: adminNotes,
+            proofURL: proofURL
+        });
+        if (!check.valid) {
+            return {
+                success: false,
+                error: check.error
+            };
+        }
+
+        const updates = {};
+        const linked = (await getLinkedComplaints(complaintId)).filter(child => child.status !== newStatus);
+        addStatusChangeUpdates(updates, complaintId, complaint, linked, {
+            status: newStatus,
+            note: adminNotes,
+            proofURL: proofURL,
+            workflow: workflow
+        });
         
-        await update(complaintRef, updates);
+        // Multi-path update keeps the complaint, its history, linked complaints, the notifications and the audit log in sync
+        await commitWithAudit(updates, {
+            action: AUDIT_ACTIONS.STATUS_CHANGED,
+            targetType: 'complaint',
+            targetId: complaintId,
+            summary: complaint.title || 'Untitled',
+            before: { status: complaint.status || null },
+            after: {
+                status: newStatus,
+                note: adminNotes,
+                proofURL: proofURL,
+                linkedComplaints: linked.map(child => child.id)
+            }
+        });
         
         return {
             success: true,
-            message: "Complaint status updated successfully"
+            message: linked.length
+                ? `Complaint status updated successfully (${linked.length} linked complaint(s) updated)`
+                : "Complaint status updated successfully"
         };
     } catch (error) {
         console.error("Error updating complaint status:", error);
@@ -70,6 +339,198 @@ export async function updateComplaintStatus(complaintId, newStatus, adminNotes =
     }
 }
 
+/**
+ * Add a status change to a multi-path update: the complaint and its linked duplicates, their history,
+ * transition timestamps and tracking records, and the notifications to their reporters
+ * The change must already be validated against the workflow.
+ * @param {Object} updates - Multi-path update object (modified in place)
+ * @param {string} complaintId - Complaint ID
+ * @param {Object} complaint - Complaint before the change
+ * @param {Array<Object>} linked - Linked duplicates (with id) not yet in the new status
+ * @param {Object} change - { status, note, proofURL, workflow, time }
+ */
+export function addStatusChangeUpdates(updates, complaintId, complaint, linked, change) {
+    const user = auth.currentUser;
+    const now = change.time || Date.now();
+    const newStatus = change.status;
+    const adminNotes = change.note || null;
+    const proofURL = change.proofURL || null;
+    const statusLabel = getStatusLabel(change.workflow, newStatus);
+
+    updates[`complaints/${complaintId}/status`] = newStatus;
+    updates[`complaints/${complaintId}/updatedAt`] = now;
+    addTransitionTimestamps(updates, complaintId, complaint, newStatus, now);
+    if (adminNotes) {
+        updates[`complaints/${complaintId}/adminNotes`] = adminNotes;
+    }
+
+    const historyEntry = createHistoryEntry(complaintId, {
+        actorId: user.uid,
+        actorName: user.displayName || user.email || 'Admin',
+        fromStatus: complaint.status || null,
+        toStatus: newStatus,
+        note: adminNotes,
+        proofURL: proofURL
+    });
+    updates[historyEntry.path] = historyEntry.value;
+    addTrackingUpdate(updates, complaintId, complaint, { status: newStatus, historyEntry });
+
+    if (complaint.userId) {
+        let message = `Your complaint "${complaint.title || 'Untitled'}" is now ${statusLabel}.`;
+        if (adminNotes) {
+            message += ` Note: ${adminNotes}`;
+        }
+        const notification = createNotificationEntry(complaint.userId, {
+            type: NOTIFICATION_TYPES.STATUS_UPDATE,
+            title: `Complaint ${statusLabel}`,
+            message: message,
+            relatedComplaintId: complaintId
+        });
+        updates[notification.path] = notification.value;
+    }
+
+    // Linked duplicates follow their parent; the rules allow this even where the workflow has no direct transition
+    linked.forEach(child => {
+        updates[`complaints/${child.id}/status`] = newStatus;
+        updates[`complaints/${child.id}/updatedAt`] = now;
+        addTransitionTimestamps(updates, child.id, child, newStatus, now);
+        if (adminNotes) {
+            updates[`complaints/${child.id}/adminNotes`] = adminNotes;
+        }
+
+        const childHistory = createHistoryEntry(child.id, {
+            actorId: user.uid,
+            actorName: user.displayName || user.email || 'Admin',
+            fromStatus: child.status || null,
+            toStatus: newStatus,
+            note: adminNotes,
+            proofURL: proofURL,
+            parentComplaintId: complaintId
+        });
+        updates[childHistory.path] = childHistory.value;
+        addTrackingUpdate(updates, child.id, child, { status: newStatus, historyEntry: childHistory });
+
+        if (child.userId) {
+            let message = `Your complaint "${child.title || 'Untitled'}" is linked to a report of the same problem, which is now ${statusLabel}.`;
+            if (adminNotes) {
+                message += ` Note: ${adminNotes}`;
+            }
+            const notification = createNotificationEntry(child.userId, {
+                type: NOTIFICATION_TYPES.STATUS_UPDATE,
+                title: `Complaint ${statusLabel}`,
+                message: message,
+                relatedComplaintId: child.id
+            });
+            updates[notification.path] = notification.value;
+        }
+    });
+}
+
+/**
+ * Upload an admin proof image for a status change (admin only)
+ * Saves an inline preview immediately, then the uploaded URL, and notifies the complaint owner
+ * @param {File} file - Proof image
+ * @param {string} complaintId - Complaint ID
+ * @param {string} status - Status the proof belongs to (in_progress, resolved, rejected)
+ * @returns {Promise<string|null>} Uploaded URL, or null if only the inline preview was saved
+ */
+export async function uploadAdminProof(file, complaintId, status) {
+    const field = status === 'resolved'
+        ? 'resolvedProofURL'
+        : status === 'rejected'
+            ? 'rejectedProofURL'
+            : 'progressProofURL';
+    const fieldInline = status === 'resolved'
+        ? 'resolvedProofInline'
+        : status === 'rejected'
+            ? 'rejectedProofInline'
+            : 'progressProofInline';
+    try {
+        // Save inline preview immediately
+        try {
+            const inlineImage = await encodeImageToDataUrl(file);
+            const updates = { [`complaints/${complaintId}/updatedAt`]: Date.now() };
+            addComplaintImage(updates, complaintId, fieldInline, inlineImage);
+            await update(ref(db), updates);
+        } catch (e) {
+            console.warn('Inline preview generation failed:', e?.message || e);
+        }
+
+        if (USE_CLOUDINARY) {
+            // Use same endpoint/flow as user uploads: "auto/upload" with optional folder
+            const formData = new FormData();
+            formData.append('file', file);
+            formData.append('upload_preset', CLOUDINARY_UPLOAD_PRESET);
+            if (CLOUDINARY_FOLDER) formData.append('folder', `${CLOUDINARY_FOLDER}/admin/${complaintId}`);
+            // Optional context, mirrors user submit path
+            formData.append('context', `complaintId=${complaintId}`);
+            const res = await fetch(`https://api.cloudinary.com/v1_1/${CLOUDINARY_CLOUD_NAME}/auto/upload`, { method: 'POST', body: formData });
+            if (!res.ok) throw new Error(`Cloudinary error ${res.status}`);
+            const data = await res.json();
+            const url = data.secure_url;
+            await saveProofURL(complaintId, status, field, url);
+            await notifyProofUploaded(complaintId);
+            return url;
+        } else {
+            const fileName = `complaints/${complaintId}/admin/${Date.now()}-${file.name}`;
+            const sRef = storageRef(storage, fileName);
+            await uploadBytes(sRef, file, { contentType: file.type || 'image/jpeg' });
+            const url = await getDownloadURL(sRef);
+            await saveProofURL(complaintId, status, field, url);
+            await notifyProofUploaded(complaintId);
+            return url;
+        }
+    } catch (e) {
+        console.error('Proof upload failed', e);
+        // Silent fallback: keep inline preview only; do not interrupt the admin
+        return null;
+    }
+}
+
+/**
+ * Store an uploaded proof URL on a complaint and record it in the audit log
+ * @param {string} complaintId - Complaint ID
+ * @param {string} status - Status the proof belongs to
+ * @param {string} field - Complaint field holding the proof URL
+ * @param {string} url - Uploaded URL
+ */
+async function saveProofURL(complaintId, status, field, url) {
+    const snapshot = await get(ref(db, `complaints/${complaintId}`));
+    const complaint = snapshot.val() || {};
+    await commitWithAudit({
+        [`complaints/${complaintId}/${field}`]: url,
+        [`complaints/${complaintId}/updatedAt`]: Date.now()
+    }, {
+        action: AUDIT_ACTIONS.PROOF_UPLOADED,
+        targetType: 'complaint',
+        targetId: complaintId,
+        summary: complaint.title || 'Untitled',
+        before: { [field]: complaint[field] || null },
+        after: { status: status, [field]: url }
+    });
+}
+
+/**
+ * Notify the complaint owner that a proof image was attached
+ * @param {string} complaintId - Complaint ID
+ */
+async function notifyProofUploaded(complaintId) {
+    try {
+        const snapshot = await get(ref(db, `complaints/${complaintId}`));
+        const complaint = snapshot.val();
+        if (!complaint || !complaint.userId) return;
+
+        await sendNotification(complaint.userId, {
+            type: NOTIFICATION_TYPES.PROOF_UPLOADED,
+            title: 'Proof Photo Added',
+            message: `An admin attached a proof photo to your complaint "${complaint.title || 'Untitled'}".`,
+            relatedComplaintId: complaintId
+        });
+    } catch (e) {
+        console.warn('Proof notification failed:', e?.message || e);
+    }
+}
+
 /**
  * Delete complaint (admin only)
  * @param {string} complaintId - Complaint ID
@@ -77,8 +538,47 @@ export async function updateComplaintStatus(complaintId, newStatus, adminNotes =
  */
 export async function deleteComplaint(complaintId) {
     try {
-        const complaintRef = ref(db, `complaints/${complaintId}`);
-        await remove(complaintRef);
+        if (!hasPermission(await getUserAccess(), 'deleteComplaint')) {
+            return {
+                success: false,
+                error: "Only admins can delete complaints"
+            };
+        }
+
+        const snapshot = await get(ref(db, `complaints/${complaintId}`));
+        if (!snapshot.exists()) {
+            return {
+                success: false,
+                error: "Complaint not found"
+            };
+        }
+        const complaint = snapshot.val();
+
+        // The audit entry keeps what the complaint was, since the complaint itself is gone
+        const updates = {
+            [`complaints/${complaintId}`]: null,
+            [`complaintImages/${complaintId}`]: null
+        };
+        addTrackingUpdate(updates, complaintId, complaint, { deleted: true });
+        if (isConfidential(complaint)) {
+            updates[`confidentialReporters/${complaint.userId}`] = null;
+        }
+        await commitWithAudit(updates, {
+            action: AUDIT_ACTIONS.COMPLAINT_DELETED,
+            targetType: 'complaint',
+            targetId: complaintId,
+            summary: complaint.title || 'Untitled',
+            before: {
+                title: complaint.title || null,
+                category: complaint.category || null,
+                priority: complaint.priority || null,
+                status: complaint.status || null,
+                referenceNumber: complaint.referenceNumber || null,
+                location: complaint.location || null,
+                userId: complaint.userId || null,
+                createdAt: complaint.createdAt || null
+            }
+        });
         
         return {
             success: true,
@@ -123,3 +623,35 @@ export function getAllUsers(callback) {
     }
 }
 
+/**
+ * Encode an image File to a compressed Data URL (used for proof previews)
+ */
+async function encodeImageToDataUrl(file, { maxWidth = 900, maxHeight = 900, quality = 0.72, maxBytes = 350000 } = {}) {
+    const dataUrl = await new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = reject;
+        reader.readAsDataURL(file);
+    });
+    const img = await new Promise((resolve, reject) => {
+        const i = new Image();
+        i.onload = () => resolve(i);
+        i.onerror = reject;
+        i.src = dataUrl;
+    });
+    const ratio = Math.min(1, maxWidth / img.width, maxHeight / img.height);
+    const w = Math.max(1, Math.floor(img.width * ratio));
+    const h = Math.max(1, Math.floor(img.height * ratio));
+    const canvas = document.createElement('canvas');
+    canvas.width = w;
+    canvas.height = h;
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(img, 0, 0, w, h);
+    let q = quality;
+    let out = canvas.toDataURL('image/jpeg', q);
+    while (out.length * 0.75 > maxBytes && q > 0.4) {
+        q -= 0.08;
+        out = canvas.toDataURL('image/jpeg', q);
+    }
+    return out;
+}
@@ -0,0 +1,237 @@
+// Import Firebase services from config
+import { db, auth } from './firebase-config.js';
+import { ref, push, get, update, query, orderByChild, limitToLast, onValue, off } from "https://www.gstatic.com/firebasejs/12.5.0/firebase-database.js";
+
+/**
+ * Audit log of privileged operations
+ * Entries live in auditLog/{entryId} ({ seq, actorId, actorName, action, targetType, targetId, summary,
+ * before, after, createdAt, prevHash, hash }) and are written in the same multi-path update as the
+ * change they describe. The rules make entries append-only; each entry also carries the SHA-256 of
+ * its content chained to the previous entry, and auditLogHead ({ seq, entryId, hash }) points to the
+ * latest one, so an entry edited or removed outside the app breaks the chain (see verifyAuditChain).
+ */
+
+export const AUDIT_ACTIONS = {
+    STATUS_CHANGED: 'complaint.status',
+    COMPLAINT_DELETED: 'complaint.delete',
+    PROOF_UPLOADED: 'complaint.proof',
+    ASSIGNED: 'complaint.assign',
+    MERGED: 'complaint.merge',
+    ESCALATED: 'complaint.escalate',
+    ROLE_CHANGED: 'user.role',
+    INVITE_CREATED: 'invite.create',
+    INVITE_REVOKED: 'invite.revoke',
+    SETTINGS_CHANGED: 'settings.update',
+    STATS_PUBLISHED: 'stats.publish',
+    REPORTER_UNSEALED: 'reporter.unseal',
+    PRIORITY_CHANGED: 'complaint.priority',
+    ARCHIVED: 'complaint.archive',
+    UNARCHIVED: 'complaint.unarchive'
+};
+
+export const AUDIT_ACTION_LABELS = {
+    [AUDIT_ACTIONS.STATUS_CHANGED]: 'Status changed',
+    [AUDIT_ACTIONS.COMPLAINT_DELETED]: 'Complaint deleted',
+    [AUDIT_ACTIONS.PROOF_UPLOADED]: 'Proof uploaded',
+    [AUDIT_ACTIONS.ASSIGNED]: 'Complaint assigned',
+    [AUDIT_ACTIONS.MERGED]: 'Complaints merged',
+    [AUDIT_ACTIONS.ESCALATED]: 'Overdue complaints escalated',
+    [AUDIT_ACTIONS.ROLE_CHANGED]: 'Role changed',
+    [AUDIT_ACTIONS.INVITE_CREATED]: 'Invite created',
+    [AUDIT_ACTIONS.INVITE_REVOKED]: 'Invite revoked',
+    [AUDIT_ACTIONS.SETTINGS_CHANGED]: 'Settings changed',
+    [AUDIT_ACTIONS.STATS_PUBLISHED]: 'Public statistics published',
+    [AUDIT_ACTIONS.REPORTER_UNSEALED]: 'Reporter identity unsealed',
+    [AUDIT_ACTIONS.PRIORITY_CHANGED]: 'Priority changed',
+    [AUDIT_ACTIONS.ARCHIVED]: 'Complaints archived',
+    [AUDIT_ACTIONS.UNARCHIVED]: 'Complaints restored from archive'
+};
+
+// Another admin may append an entry between reading the chain head and writing; retry from the new head
+const MAX_WRITE_ATTEMPTS = 3;
+
+/**
+ * Apply a multi-path update together with its audit entry
+ * @param {Object} updates - Multi-path update object of the operation
+ * @param {Object} entry - { action, targetType, targetId, summary, before, after }
+ * @returns {Promise<void>} Resolves once the operation and its entry are saved
+ */
+export async function commitWithAudit(updates, entry) {
+    for (let attempt = 1; ; attempt++) {
+        const headSnap = await get(ref(db, 'auditLogHead'));
+        const withEntry = { ...updates };
+        await addAuditEntry(withEntry, entry, headSnap.val());
+        try {
+            await update(ref(db), withEntry);
+            return;
+        } catch (error) {
+            if (attempt >= MAX_WRITE_ATTEMPTS) throw error;
+            console.warn("Audit log write failed, retrying:", error.message);
+        }
+    }
+}
+
+/**
+ * Listen to the latest audit log entries (admin only)
+ * @param {Function} callback - Receives the entries array (newest first)
+ * @param {number} limit - Number of entries to load
+ * @returns {Function} Unsubscribe function
+ */
+export function listenToAuditLog(callback, limit = 500) {
+    try {
+        const logQuery = query(ref(db, 'auditLog'), orderByChild('seq'), limitToLast(limit));
+        onValue(logQuery, (snapshot) => {
+            const entries = [];
+            snapshot.forEach((childSnapshot) => {
+                entries.push({
+                    id: childSnapshot.key,
+                    ...childSnapshot.val()
+                });
+            });
+            entries.sort((a, b) => (b.seq || 0) - (a.seq || 0));
+            callback(entries);
+        }, (error) => {
+            console.error("Error listening to audit log:", error);
+            callback([]);
+        });
+        return () => off(logQuery);
+    } catch (error) {
+        console.error("Error listening to audit log:", error);
+        callback([]);
+        return () => {};
+    }
+}
+
+/**
+ * Check the whole hash chain of the audit log (admin only)
+ * @returns {Promise<Object>} Result object with valid flag, entry count and the first broken entry
+ */
+export async function verifyAuditChain() {
+    try {
+        const [logSnap, headSnap] = await Promise.all([get(ref(db, 'auditLog')), get(ref(db, 'auditLogHead'))]);
+        const entries = [];
+        logSnap.forEach((childSnapshot) => {
+            entries.push({ id: childSnapshot.key, ...childSnapshot.val() });
+        });
+        entries.sort((a, b) => (a.seq || 0) - (b.seq || 0));
+
+        let prevHash = null;
+        for (let i = 0; i < entries.length; i++) {
+            const entry = entries[i];
+            const problem = entry.seq !== i + 1
+                ? `Entry #${i + 1} is missing`
+                : (entry.prevHash || null) !== prevHash
+                    ? `Entry #${entry.seq} does not follow the previous entry`
+                    : entry.hash !== await hashEntry(entry)
+                        ? `Entry #${entry.seq} was modified`
+                        : null;
+            if (problem) {
+                return {
+                    success: true,
+                    valid: false,
+                    count: entries.length,
+                    brokenAt: entry.id,
+                    message: problem
+                };
+            }
+            prevHash = entry.hash;
+        }
+
+        const head = headSnap.val();
+        if ((head ? head.hash : null) !== prevHash || (head ? head.seq : 0) !== entries.length) {
+            return {
+                success: true,
+                valid: false,
+                count: entries.length,
+                brokenAt: null,
+                message: "The latest entries were removed"
+            };
+        }
+
+        return {
+            success: true,
+            valid: true,
+            count: entries.length,
+            message: `All ${entries.length} entries are intact`
+        };
+    } catch (error) {
+        console.error("Error verifying audit log:", error);
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+}
+
+/**
+ * Add an audit entry and the new chain head to a multi-path update
+ * @param {Object} updates - Multi-path update object (modified in place)
+ * @param {Object} entry - { action, targetType, targetId, summary, before, after }
+ * @param {Object|null} head - Current value of auditLogHead
+ * @returns {Promise<string>} Entry ID
+ */
+async function addAuditEntry(updates, entry, head) {
+    const user = auth.currentUser;
+    const entryId = push(ref(db, 'auditLog')).key;
+    const value = compact({
+        seq: (head ? head.seq : 0) + 1,
+        actorId: user.uid,
+        actorName: user.displayName || user.email || 'Admin',
+        action: entry.action,
+        targetType: entry.targetType || null,
+        targetId: entry.targetId || null,
+        summary: entry.summary || null,
+        before: entry.before,
+        after: entry.after,
+        createdAt: Date.now(),
+        prevHash: head ? head.hash : null
+    });
+    value.hash = await hashEntry(value);
+
+    updates[`auditLog/${entryId}`] = value;
+    updates.auditLogHead = {
+        seq: value.seq,
+        entryId: entryId,
+        hash: value.hash
+    };
+    return entryId;
+}
+
+/**
+ * Hash an entry the way it reads back from the database
+ * @param {Object} entry - Audit entry
+ * @returns {Promise<string>} Hex SHA-256 of every field except id and hash
+ */
+async function hashEntry(entry) {
+    const { id, hash, ...content } = entry;
+    const bytes = new TextEncoder().encode(stableStringify(compact(content)));
+    const digest = await crypto.subtle.digest('SHA-256', bytes);
+    return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Drop null, undefined and empty values, which the database does not store
+ * @param {*} value - Any value
+ * @returns {*} Compacted value (undefined if nothing is left)
+ */
+function compact(value) {
+    if (value === null || value === undefined) return undefined;
+    if (Array.isArray(value)) value = Object.assign({}, value);
+    if (typeof value !== 'object') return value;
+    const result = {};
+    Object.keys(value).forEach((key) => {
+        const item = compact(value[key]);
+        if (item !== undefined) result[key] = item;
+    });
+    return Object.keys(result).length ? result : undefined;
+}
+
+/**
+ * JSON with object keys sorted, so equal content always hashes the same
+ * @param {*} value - Compacted value
+ * @returns {string} Canonical JSON
+ */
+function stableStringify(value) {
+    if (value === null || typeof value !== 'object') return JSON.stringify(value);
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+}
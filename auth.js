@@ -1,7 +1,39 @@
 // Import Firebase services from config
 import { auth, db } from './firebase-config.js';
 import { GoogleAuthProvider, signInWithPopup, signOut, onAuthStateChanged } from "https://www.gstatic.com/firebasejs/12.5.0/firebase-auth.js";
-import { ref, set, get } from "https://www.gstatic.com/firebasejs/12.5.0/firebase-database.js";
+import { commitWithAudit, AUDIT_ACTIONS } from './audit-log.js';
+import { ref, set, get, push } from "https://www.gstatic.com/firebasejs/12.5.0/firebase-database.js";
+
+/**
+ * Roles stored in users/{uid}/role
+ * Scoped roles also carry users/{uid}/scope:
+ * staff → { categories: { [category]: true }, departmentId }, barangay → { barangay, city }
+ * Every role change is recorded in roleGrants/{grantId}; the user record points to its latest
+ * grant (users/{uid}/roleGrantId) and the database rules only accept a role change that comes
+ * with a new grant made by an admin, an accepted invite or the one-time first-admin bootstrap.
+ */
+export const ROLES = {
+    USER: 'user',
+    ADMIN: 'admin',
+    SUPERVISOR: 'supervisor',
+    STAFF: 'staff',
+    BARANGAY: 'barangay'
+};
+
+// Roles that work from the admin dashboard
+export const STAFF_ROLES = [ROLES.ADMIN, ROLES.SUPERVISOR, ROLES.STAFF, ROLES.BARANGAY];
+
+// What each role may do; the database rules enforce the same split
+export const ROLE_PERMISSIONS = {
+    admin: ['viewAll', 'changeStatus', 'closeComplaint', 'assign', 'merge', 'escalate', 'setPriority', 'archive', 'comment', 'deleteComplaint', 'manageSettings', 'manageUsers', 'viewAuditLog', 'publishStats', 'unsealReporter'],
+    supervisor: ['viewAll', 'changeStatus', 'closeComplaint', 'assign', 'merge', 'escalate', 'setPriority', 'archive', 'comment', 'publishStats', 'unsealReporter'],
+    staff: ['changeStatus', 'comment'],
+    barangay: ['comment'],
+    user: []
+};
+
+// Moving a complaint into these statuses counts as closing it
+export const CLOSING_STATUSES = ['resolved', 'rejected'];
 
 // Initialize Google Auth Provider
 const googleProvider = new GoogleAuthProvider();
@@ -373,6 +405,96 @@ export async function isAdmin() {
     }
 }
 
+/**
+ * Check if current user works from the admin dashboard (admin, supervisor, staff or barangay official)
+ * @returns {Promise<boolean>} True if user has a staff role
+ */
+export async function isStaffMember() {
+    const access = await getUserAccess();
+    return !!access && STAFF_ROLES.includes(access.role);
+}
+
+/**
+ * Get the role, scope and permissions of the current user
+ * @returns {Promise<Object|null>} { uid, role, scope, permissions } or null if signed out
+ */
+export async function getUserAccess() {
+    try {
+        const user = auth.currentUser;
+        if (!user) {
+            return null;
+        }
+
+        const userDataResult = await getUserData(user.uid);
+        const data = userDataResult.success ? userDataResult.data : {};
+        const role = ROLE_PERMISSIONS[data.role] ? data.role : ROLES.USER;
+        return {
+            uid: user.uid,
+            role: role,
+            scope: data.scope || {},
+            permissions: ROLE_PERMISSIONS[role]
+        };
+    } catch (error) {
+        console.error("Error getting user access:", error);
+        return null;
+    }
+}
+
+/**
+ * Check whether an access object grants a permission
+ * @param {Object|null} access - Result of getUserAccess
+ * @param {string} permission - Permission name (see ROLE_PERMISSIONS)
+ * @returns {boolean} True if allowed
+ */
+export function hasPermission(access, permission) {
+    return !!access && access.permissions.includes(permission);
+}
+
+/**
+ * Check whether a complaint is inside the user's scope
+ * Staff see their categories, their department's and their own assignments;
+ * barangay officials see complaints from their barangay and city
+ * @param {Object|null} access - Result of getUserAccess
+ * @param {Object} complaint - Complaint
+ * @returns {boolean} True if the user may see the complaint
+ */
+export function canAccessComplaint(access, complaint) {
+    if (!access || !complaint) return false;
+    if (hasPermission(access, 'viewAll')) return true;
+
+    const scope = access.scope || {};
+    const assignedTo = complaint.assignedTo || {};
+    if (access.role === ROLES.STAFF) {
+        return !!(scope.categories && scope.categories[complaint.category]) ||
+            assignedTo.userId === access.uid ||
+            (!!scope.departmentId && assignedTo.departmentId === scope.departmentId);
+    }
+    if (access.role === ROLES.BARANGAY) {
+        const details = complaint.locationDetails || {};
+        return !!scope.barangay && !!scope.city &&
+            details.barangay === scope.barangay && details.city === scope.city;
+    }
+    return complaint.userId === access.uid;
+}
+
+/**
+ * Describe the scope of a user
+ * @param {string} role - Role
+ * @param {Object} scope - Scope from the user record
+ * @returns {string} e.g. "Barangay San Roque, Manila" or "Infrastructure, Flooding"
+ */
+export function describeScope(role, scope) {
+    scope = scope || {};
+    if (role === ROLES.BARANGAY) {
+        return scope.barangay ? `Barangay ${[scope.barangay, scope.city].filter(Boolean).join(', ')}` : 'No barangay set';
+    }
+    if (role === ROLES.STAFF) {
+        const categories = Object.keys(scope.categories || {});
+        return categories.length ? categories.join(', ') : 'Assigned complaints only';
+    }
+    return role === ROLES.ADMIN || role === ROLES.SUPERVISOR ? 'All complaints' : '';
+}
+
 /**
  * Check if user is admin by userId
  * @param {string} userId - User ID to check
@@ -393,7 +515,7 @@ export async function isUserAdmin(userId) {
 
 /**
  * Get current user's role
- * @returns {Promise<string>} User role ('admin' or 'user')
+ * @returns {Promise<string>} User role (see ROLES)
  */
 export async function getUserRole() {
     try {
@@ -415,11 +537,13 @@ export async function getUserRole() {
 
 /**
  * Set user role (admin only function)
+ * Admins cannot change their own role, so the last admin cannot lock everyone out.
  * @param {string} userId - User ID to update
- * @param {string} role - Role to set ('admin' or 'user')
+ * @param {string} role - Role to set (see ROLES)
+ * @param {Object|null} scope - Scope for staff ({ categories, departmentId }) and barangay officials ({ barangay, city })
  * @returns {Promise<Object>} Result object
  */
-export async function setUserRole(userId, role) {
+export async function setUserRole(userId, role, scope = null) {
     try {
         // Check if current user is admin
         const currentUserIsAdmin = await isAdmin();
@@ -429,29 +553,39 @@ export async function setUserRole(userId, role) {
                 error: "Only admins can set user roles"
             };
         }
-        
-        // Validate role
-        if (role !== 'admin' && role !== 'user') {
+        if (userId === auth.currentUser.uid) {
             return {
                 success: false,
-                error: "Invalid role. Must be 'admin' or 'user'"
+                error: "You cannot change your own role"
             };
         }
         
-        const userRef = ref(db, `users/${userId}`);
-        const snapshot = await get(userRef);
+        // Validate role
+        const validation = validateRoleScope(role, scope);
+        if (!validation.success) {
+            return validation;
+        }
+        
+        const snapshot = await get(ref(db, `users/${userId}`));
         
         if (snapshot.exists()) {
             const userData = snapshot.val();
-            await set(userRef, {
-                ...userData,
-                role: role,
-                updatedAt: Date.now()
+            const updates = {};
+            addRoleGrant(updates, {
+                userId: userId,
+                email: userData.email || null,
+                fromRole: userData.role || ROLES.USER,
+                toRole: role,
+                scope: scope,
+                via: 'admin'
             });
+            await commitWithAudit(updates, getRoleAuditEntry(updates, userId, userData));
             
             return {
                 success: true,
-                message: `User role updated to ${role}`
+                message: role === ROLES.USER && userData.role && userData.role !== ROLES.USER
+                    ? `Staff access revoked for ${userData.email || userId}`
+                    : `User role updated to ${role}`
             };
         } else {
             return {
@@ -468,3 +602,78 @@ export async function setUserRole(userId, role) {
     }
 }
 
+/**
+ * Check a role and the scope that goes with it
+ * @param {string} role - Role (see ROLES)
+ * @param {Object|null} scope - Scope for staff and barangay officials
+ * @returns {Object} Result object
+ */
+export function validateRoleScope(role, scope) {
+    if (!Object.values(ROLES).includes(role)) {
+        return {
+            success: false,
+            error: `Invalid role. Must be one of: ${Object.values(ROLES).join(', ')}`
+        };
+    }
+    if (role === ROLES.BARANGAY && !(scope && scope.barangay && scope.city)) {
+        return {
+            success: false,
+            error: "Barangay officials need a barangay and its city"
+        };
+    }
+    return {
+        success: true
+    };
+}
+
+/**
+ * Describe a role change prepared by addRoleGrant for the audit log
+ * @param {Object} updates - Multi-path update object holding the role change
+ * @param {string} userId - User ID
+ * @param {Object} userData - User record before the change
+ * @returns {Object} Audit entry
+ */
+export function getRoleAuditEntry(updates, userId, userData) {
+    const grantId = updates[`users/${userId}/roleGrantId`];
+    const grant = updates[`roleGrants/${grantId}`];
+    return {
+        action: AUDIT_ACTIONS.ROLE_CHANGED,
+        targetType: 'user',
+        targetId: userId,
+        summary: userData.email || userId,
+        before: { role: userData.role || ROLES.USER, scope: userData.scope || null },
+        after: { role: grant.toRole, scope: grant.scope, via: grant.via, grantId: grantId }
+    };
+}
+
+/**
+ * Add a role change and its roleGrants record to a multi-path update
+ * @param {Object} updates - Multi-path update object (modified in place)
+ * @param {Object} grant - { userId, email, fromRole, toRole, scope, via ('admin' | 'invite' | 'bootstrap'), inviteId }
+ * @returns {string} Grant ID
+ */
+export function addRoleGrant(updates, grant) {
+    const user = auth.currentUser;
+    const now = Date.now();
+    const scope = (grant.toRole === ROLES.STAFF || grant.toRole === ROLES.BARANGAY) && grant.scope ? grant.scope : null;
+    const grantId = push(ref(db, 'roleGrants')).key;
+
+    updates[`roleGrants/${grantId}`] = {
+        userId: grant.userId,
+        email: grant.email || null,
+        fromRole: grant.fromRole || null,
+        toRole: grant.toRole,
+        scope: scope,
+        via: grant.via,
+        inviteId: grant.inviteId || null,
+        actorId: user.uid,
+        actorName: user.displayName || user.email || 'Admin',
+        createdAt: now
+    };
+    updates[`users/${grant.userId}/role`] = grant.toRole;
+    updates[`users/${grant.userId}/scope`] = scope;
+    updates[`users/${grant.userId}/roleGrantId`] = grantId;
+    updates[`users/${grant.userId}/updatedAt`] = now;
+    return grantId;
+}
+
@@ -0,0 +1,325 @@
+// Import Firebase services from config
+import { db, auth } from './firebase-config.js';
+import { createNotificationEntry, NOTIFICATION_TYPES } from './notifs.js';
+import { getLinkedComplaints } from './complaint-duplicates.js';
+import { getUserAccess, hasPermission, STAFF_ROLES, ROLES } from './auth.js';
+import { commitWithAudit, AUDIT_ACTIONS } from './audit-log.js';
+import { addTrackingUpdate } from './complaint-tracking.js';
+import { ref, push, get } from "https://www.gstatic.com/firebasejs/12.5.0/firebase-database.js";
+
+/**
+ * Complaint assignment to departments and staff members
+ * The current assignee is stored on the complaint as `assignedTo`
+ * ({ departmentId, departmentName, userId, userName, assignedAt, assignedBy, assignedByName });
+ * every change is logged in complaintAssignments/{complaintId}/{entryId}.
+ */
+
+// Complaints in these statuses no longer count towards anyone's workload
+const CLOSED_STATUSES = ['resolved', 'rejected'];
+
+/**
+ * Get the users complaints can be assigned to
+ * @param {Array<Object>} users - Users (with id) from getAllUsers
+ * @returns {Array<Object>} Staff members sorted by name
+ */
+export function getStaffMembers(users) {
+    return (users || [])
+        .filter(user => STAFF_ROLES.includes(user.role) && user.role !== ROLES.BARANGAY)
+        .map(user => ({ ...user, name: user.displayName || user.email || user.id }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Describe an assignee
+ * @param {Object|null} assignedTo - Value of complaint.assignedTo
+ * @returns {string} "Department • Staff member", one of the two, or '' if unassigned
+ */
+export function getAssigneeLabel(assignedTo) {
+    if (!assignedTo || typeof assignedTo !== 'object') return '';
+    return [assignedTo.departmentName, assignedTo.userName].filter(Boolean).join(' • ');
+}
+
+/**
+ * Describe the office handling a complaint, as shown to its reporter
+ * @param {Object|null} assignedTo - Value of complaint.assignedTo
+ * @returns {string} Department name, a generic label for staff-only assignments, or '' if unassigned
+ */
+export function getHandlingOffice(assignedTo) {
+    if (!assignedTo || typeof assignedTo !== 'object') return '';
+    if (assignedTo.departmentName) return assignedTo.departmentName;
+    return assignedTo.userId ? 'City Hall staff' : '';
+}
+
+/**
+ * Check whether a complaint is assigned to a staff member
+ * @param {Object} complaint - Complaint
+ * @param {string} userId - Staff user ID
+ * @returns {boolean} True if the user is the assignee
+ */
+export function isAssignedTo(complaint, userId) {
+    return !!(complaint && complaint.assignedTo && complaint.assignedTo.userId === userId);
+}
+
+/**
+ * Count open complaints per department and per staff member
+ * A complaint assigned to both a department and a person counts for each of them.
+ * @param {Array<Object>} complaints - Complaints (with id)
+ * @returns {Array<Object>} Rows { key, type, id, label, open, byStatus, oldestAt }, busiest first;
+ *                          unassigned complaints are reported under type 'none'
+ */
+export function getWorkload(complaints) {
+    const rows = {};
+    const count = (key, type, id, label, complaint) => {
+        if (!rows[key]) {
+            rows[key] = { key, type, id, label, open: 0, byStatus: {}, oldestAt: null };
+        }
+        const row = rows[key];
+        row.open++;
+        row.byStatus[complaint.status] = (row.byStatus[complaint.status] || 0) + 1;
+        if (complaint.createdAt && (!row.oldestAt || complaint.createdAt < row.oldestAt)) {
+            row.oldestAt = complaint.createdAt;
+        }
+    };
+
+    (complaints || [])
+        .filter(complaint => !complaint.mergedInto && !CLOSED_STATUSES.includes(complaint.status))
+        .forEach(complaint => {
+            const assignedTo = complaint.assignedTo;
+            if (!assignedTo || (!assignedTo.departmentId && !assignedTo.userId)) {
+                count('none', 'none', null, 'Unassigned', complaint);
+                return;
+            }
+            if (assignedTo.departmentId) {
+                count(`department:${assignedTo.departmentId}`, 'department', assignedTo.departmentId, assignedTo.departmentName || assignedTo.departmentId, complaint);
+            }
+            if (assignedTo.userId) {
+                count(`user:${assignedTo.userId}`, 'user', assignedTo.userId, assignedTo.userName || assignedTo.userId, complaint);
+            }
+        });
+
+    return Object.values(rows).sort((a, b) => b.open - a.open || a.label.localeCompare(b.label));
+}
+
+/**
+ * Assign or reassign a complaint (admins and supervisors)
+ * Reassigning requires a reason. The reporter is told which office handles the report,
+ * the assigned staff member is notified, and linked duplicates get the same assignee.
+ * @param {string} complaintId - Complaint ID
+ * @param {Object} assignment - { departmentId, departmentName, userId, userName, reason }
+ * @returns {Promise<Object>} Result object
+ */
+export async function assignComplaint(complaintId, assignment) {
+    try {
+        const user = auth.currentUser;
+        if (!user) {
+            return {
+                success: false,
+                error: "You must be logged in to assign a complaint"
+            };
+        }
+        if (!hasPermission(await getUserAccess(), 'assign')) {
+            return {
+                success: false,
+                error: "Only supervisors can assign complaints"
+            };
+        }
+        if (!assignment || (!assignment.departmentId && !assignment.userId)) {
+            return {
+                success: false,
+                error: "Please choose a department or a staff member"
+            };
+        }
+
+        const snapshot = await get(ref(db, `complaints/${complaintId}`));
+        if (!snapshot.exists()) {
+            return {
+                success: false,
+                error: "Complaint not found"
+            };
+        }
+        const complaint = snapshot.val();
+        const error = checkAssignment(complaint, assignment);
+        if (error) {
+            return {
+                success: false,
+                error: error
+            };
+        }
+
+        const assignedTo = createAssignee(assignment);
+        const label = getAssigneeLabel(assignedTo);
+        const previous = getPreviousAssignee(complaint);
+        const reason = String(assignment.reason || '').trim();
+        const updates = {};
+        addAssignmentUpdates(updates, complaintId, complaint, await getLinkedComplaints(complaintId), assignedTo, reason);
+
+        await commitWithAudit(updates, {
+            action: AUDIT_ACTIONS.ASSIGNED,
+            targetType: 'complaint',
+            targetId: complaintId,
+            summary: complaint.title || 'Untitled',
+            before: previous ? { assignee: getAssigneeLabel(previous), departmentId: previous.departmentId || null, userId: previous.userId || null } : null,
+            after: { assignee: label, departmentId: assignedTo.departmentId, userId: assignedTo.userId, reason: reason || null }
+        });
+
+        return {
+            success: true,
+            message: `Complaint assigned to ${label}`
+        };
+    } catch (error) {
+        console.error("Error assigning complaint:", error);
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+}
+
+/**
+ * Check whether a complaint can be given an assignment
+ * @param {Object} complaint - Complaint before the assignment
+ * @param {Object} assignment - { departmentId, userId, reason }
+ * @returns {string|null} Error message, or null if the assignment is allowed
+ */
+export function checkAssignment(complaint, assignment) {
+    const previous = getPreviousAssignee(complaint);
+    if (!previous) return null;
+    if ((previous.departmentId || null) === (assignment.departmentId || null) &&
+        (previous.userId || null) === (assignment.userId || null)) {
+        return "The complaint is already assigned there";
+    }
+    if (!String(assignment.reason || '').trim()) {
+        return "Please give a reason for reassigning this complaint";
+    }
+    return null;
+}
+
+/**
+ * Build the assignee record stored on complaints, stamped with the current user
+ * @param {Object} assignment - { departmentId, departmentName, userId, userName }
+ * @param {number} now - Time of the assignment
+ * @returns {Object} Value for `assignedTo`
+ */
+export function createAssignee(assignment, now = Date.now()) {
+    const user = auth.currentUser;
+    return {
+        departmentId: assignment.departmentId || null,
+        departmentName: assignment.departmentId ? (assignment.departmentName || assignment.departmentId) : null,
+        userId: assignment.userId || null,
+        userName: assignment.userId ? (assignment.userName || assignment.userId) : null,
+        assignedAt: now,
+        assignedBy: user.uid,
+        assignedByName: user.displayName || user.email || 'Admin'
+    };
+}
+
+/**
+ * Add an assignment to a multi-path update: the complaint and its linked duplicates, their assignment
+ * history and tracking records, and the notifications to the reporters and the assigned staff member
+ * @param {Object} updates - Multi-path update object (modified in place)
+ * @param {string} complaintId - Complaint ID
+ * @param {Object} complaint - Complaint before the assignment
+ * @param {Array<Object>} linked - Linked duplicates (with id) from getLinkedComplaints
+ * @param {Object} assignedTo - Assignee record from createAssignee
+ * @param {string} reason - Reason for a reassignment (may be empty)
+ */
+export function addAssignmentUpdates(updates, complaintId, complaint, linked, assignedTo, reason) {
+    const user = auth.currentUser;
+    const previous = getPreviousAssignee(complaint);
+    const officeChanged = !previous || (previous.departmentId || null) !== assignedTo.departmentId;
+
+    const assign = (id, target) => {
+        updates[`complaints/${id}/assignedTo`] = assignedTo;
+        updates[`complaints/${id}/updatedAt`] = assignedTo.assignedAt;
+
+        const entryRef = push(ref(db, `complaintAssignments/${id}`));
+        updates[`complaintAssignments/${id}/${entryRef.key}`] = {
+            actorId: user.uid,
+            actorName: assignedTo.assignedByName,
+            from: previous ? {
+                departmentId: previous.departmentId || null,
+                departmentName: previous.departmentName || null,
+                userId: previous.userId || null,
+                userName: previous.userName || null
+            } : null,
+            to: {
+                departmentId: assignedTo.departmentId,
+                departmentName: assignedTo.departmentName,
+                userId: assignedTo.userId,
+                userName: assignedTo.userName
+            },
+            reason: reason || null,
+            parentComplaintId: id === complaintId ? null : complaintId,
+            createdAt: assignedTo.assignedAt
+        };
+        addTrackingUpdate(updates, id, target, { handledBy: getHandlingOffice(assignedTo) });
+
+        // Residents are told which office handles their report, not which employee
+        if (target.userId && officeChanged) {
+            const office = getHandlingOffice(assignedTo);
+            const notification = createNotificationEntry(target.userId, {
+                type: NOTIFICATION_TYPES.ASSIGNED,
+                title: previous ? 'Complaint Reassigned' : 'Complaint Assigned',
+                message: `Your complaint "${target.title || 'Untitled'}" is now being handled by ${office}.`,
+                relatedComplaintId: id
+            });
+            updates[notification.path] = notification.value;
+        }
+    };
+
+    assign(complaintId, complaint);
+    linked.forEach(child => assign(child.id, child));
+
+    if (assignedTo.userId && assignedTo.userId !== user.uid) {
+        const notification = createNotificationEntry(assignedTo.userId, {
+            type: NOTIFICATION_TYPES.ASSIGNED,
+            title: 'Complaint Assigned to You',
+            message: `${assignedTo.assignedByName} assigned you the complaint "${complaint.title || 'Untitled'}".${reason ? ` Reason: ${reason}` : ''}`,
+            relatedComplaintId: complaintId
+        });
+        updates[notification.path] = notification.value;
+    }
+}
+
+/**
+ * Get the assignment history of a complaint (oldest first)
+ * @param {string} complaintId - Complaint ID
+ * @returns {Promise<Object>} Result object with history entries array
+ */
+export async function getAssignmentHistory(complaintId) {
+    try {
+        const snapshot = await get(ref(db, `complaintAssignments/${complaintId}`));
+
+        const entries = [];
+        snapshot.forEach((childSnapshot) => {
+            entries.push({
+                id: childSnapshot.key,
+                ...childSnapshot.val()
+            });
+        });
+        entries.sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0));
+
+        return {
+            success: true,
+            data: entries
+        };
+    } catch (error) {
+        console.error("Error getting assignment history:", error);
+        return {
+            success: false,
+            error: error.message,
+            data: []
+        };
+    }
+}
+
+/**
+ * Get the current assignee of a complaint
+ * @param {Object} complaint - Complaint
+ * @returns {Object|null} assignedTo, or null if the complaint is unassigned
+ */
+function getPreviousAssignee(complaint) {
+    return complaint.assignedTo && (complaint.assignedTo.departmentId || complaint.assignedTo.userId)
+        ? complaint.assignedTo
+        : null;
+}
@@ -0,0 +1,82 @@
+/**
+ * Complaint attachment helpers
+ * Complaints store an ordered `attachments` list; older complaints only have
+ * a single fileURL/storagePath/inlineImage, which is read as a one-item list.
+ */
+
+// Maximum number of files on one complaint
+export const MAX_ATTACHMENTS = 10;
+
+const VIDEO_EXTENSIONS = /\.(mp4|webm|ogg|mov|avi)(\?|$)/i;
+
+/**
+ * Get the attachment type of a File
+ * @param {File} file - Selected file
+ * @returns {string} 'image', 'video' or 'file'
+ */
+export function getAttachmentType(file) {
+    const mime = (file && file.type) || '';
+    if (mime.startsWith('image/')) return 'image';
+    if (mime.startsWith('video/')) return 'video';
+    return VIDEO_EXTENSIONS.test((file && file.name) || '') ? 'video' : 'file';
+}
+
+/**
+ * Get the attachments of a complaint as an ordered array
+ * Each item has url (best available, may be an inline preview), type, name, thumbnail and status
+ * @param {Object} complaint - Complaint object
+ * @returns {Array<Object>} Attachments (empty if none)
+ */
+export function getComplaintAttachments(complaint) {
+    if (!complaint) return [];
+
+    if (complaint.attachments) {
+        // RTDB returns sequential keys as an array, but sparse ones as an object
+        const list = Array.isArray(complaint.attachments)
+            ? complaint.attachments
+            : Object.keys(complaint.attachments).sort((a, b) => Number(a) - Number(b)).map(k => complaint.attachments[k]);
+
+        return list.filter(Boolean).map((attachment, index) => {
+            const inline = index === 0 && isInlineImage(complaint.inlineImage) ? complaint.inlineImage : null;
+            return {
+                ...attachment,
+                index,
+                url: attachment.url || (attachment.type === 'image' ? (inline || attachment.thumbnail || '') : ''),
+                thumbnail: attachment.thumbnail || inline || null
+            };
+        });
+    }
+
+    // Legacy single-file complaint
+    const url = complaint.fileURL && String(complaint.fileURL).trim()
+        ? complaint.fileURL
+        : (isInlineImage(complaint.inlineImage) ? complaint.inlineImage : '');
+    if (!url) return [];
+
+    return [{
+        index: 0,
+        url,
+        type: VIDEO_EXTENSIONS.test(url) ? 'video' : 'image',
+        name: null,
+        thumbnail: isInlineImage(complaint.inlineImage) ? complaint.inlineImage : null,
+        status: complaint.fileURL ? 'done' : (complaint.uploadStatus || 'done')
+    }];
+}
+
+/**
+ * Check whether an attachment should be shown as a video
+ * @param {Object} attachment - Attachment from getComplaintAttachments
+ * @returns {boolean} True for videos
+ */
+export function isVideoAttachment(attachment) {
+    return !!attachment && (attachment.type === 'video' || VIDEO_EXTENSIONS.test(attachment.url || ''));
+}
+
+/**
+ * Check whether a value is an inline (base64) image preview
+ * @param {string} value - Value to check
+ * @returns {boolean} True for data:image URLs
+ */
+function isInlineImage(value) {
+    return !!value && String(value).startsWith('data:image');
+}
@@ -0,0 +1,292 @@
+// Import Firebase services from config
+import { db, auth } from './firebase-config.js';
+import { getUserAccess, hasPermission, canAccessComplaint, CLOSING_STATUSES } from './auth.js';
+import { commitWithAudit, AUDIT_ACTIONS } from './audit-log.js';
+import { addStatusChangeUpdates } from './admin-dashboard.js';
+import { checkAssignment, createAssignee, addAssignmentUpdates, getAssigneeLabel } from './complaint-assignment.js';
+import { getLinkedComplaints } from './complaint-duplicates.js';
+import { getStatusWorkflow, validateStatusTransition, getStatusLabel } from './complaint-workflow.js';
+import { getComplaintSettings, getSettingOptions, getSettingLabel } from './complaint-settings.js';
+import { getSlaHours, computeDueAt } from './complaint-sla.js';
+import { ref, get } from "https://www.gstatic.com/firebasejs/12.5.0/firebase-database.js";
+
+/**
+ * Bulk actions on complaints
+ * The admin grid can change the status (with one shared note), assignee or priority of many complaints at
+ * once, or archive them. Each complaint is checked first; the ones that pass are written in a single
+ * multi-path update with one audit entry, so either all of them change or none do. The result lists the
+ * complaints that changed and why the others were skipped.
+ * Archived complaints keep their data and history but carry { archivedAt, archivedBy } and are hidden
+ * from the complaint list unless asked for.
+ */
+
+export const MAX_BULK_COMPLAINTS = 200;
+
+/**
+ * Change the status of several complaints (same permissions as updateComplaintStatus)
+ * Linked duplicates follow their parent as usual; a selected duplicate whose parent is selected too changes with it.
+ * @param {Array<string>} complaintIds - Complaint IDs
+ * @param {string} newStatus - New status
+ * @param {string|null} note - Note shared by every change
+ * @returns {Promise<Object>} Result object with updated IDs and failed [{ id, title, error }]
+ */
+export async function bulkChangeStatus(complaintIds, newStatus, note = null) {
+    const workflow = await getStatusWorkflow();
+    const statusLabel = getStatusLabel(workflow, newStatus);
+    const adminNotes = String(note || '').trim() || null;
+    const now = Date.now();
+    const before = {};
+
+    return runBulkAction(complaintIds, {
+        permission: 'changeStatus',
+        permissionError: "Your role cannot change complaint statuses",
+        check: (access) => CLOSING_STATUSES.includes(newStatus) && !hasPermission(access, 'closeComplaint')
+            ? "Only supervisors can close complaints"
+            : null,
+        prepare: async (updates, id, complaint) => {
+            const check = validateStatusTransition(workflow, complaint.status, newStatus, { note: adminNotes });
+            if (!check.valid) return { error: check.error };
+            const linked = (await getLinkedComplaints(id)).filter(child => child.status !== newStatus);
+            addStatusChangeUpdates(updates, id, complaint, linked, {
+                status: newStatus,
+                note: adminNotes,
+                workflow: workflow,
+                time: now
+            });
+            before[id] = complaint.status || null;
+            return { linked: linked.map(child => child.id) };
+        },
+        audit: (updated) => ({
+            action: AUDIT_ACTIONS.STATUS_CHANGED,
+            summary: `${updated.length} complaint(s) set to ${statusLabel}`,
+            before: { statuses: before },
+            after: { status: newStatus, note: adminNotes, complaints: updated }
+        }),
+        message: (count) => `${count} complaint(s) set to ${statusLabel}`
+    });
+}
+
+/**
+ * Assign several complaints to the same department and/or staff member (admins and supervisors)
+ * @param {Array<string>} complaintIds - Complaint IDs
+ * @param {Object} assignment - { departmentId, departmentName, userId, userName, reason }; the reason is needed for reassignments
+ * @returns {Promise<Object>} Result object with updated IDs and failed [{ id, title, error }]
+ */
+export async function bulkAssign(complaintIds, assignment) {
+    if (!assignment || (!assignment.departmentId && !assignment.userId)) {
+        return {
+            success: false,
+            error: "Please choose a department or a staff member"
+        };
+    }
+    const reason = String(assignment.reason || '').trim();
+    let assignedTo = null;
+
+    return runBulkAction(complaintIds, {
+        permission: 'assign',
+        permissionError: "Only supervisors can assign complaints",
+        prepare: async (updates, id, complaint) => {
+            const error = checkAssignment(complaint, { ...assignment, reason });
+            if (error) return { error };
+            assignedTo = assignedTo || createAssignee(assignment);
+            const linked = await getLinkedComplaints(id);
+            addAssignmentUpdates(updates, id, complaint, linked, assignedTo, reason);
+            return { linked: linked.map(child => child.id) };
+        },
+        audit: (updated) => ({
+            action: AUDIT_ACTIONS.ASSIGNED,
+            summary: `${updated.length} complaint(s) assigned to ${getAssigneeLabel(assignedTo)}`,
+            after: { assignee: getAssigneeLabel(assignedTo), departmentId: assignedTo.departmentId, userId: assignedTo.userId, reason: reason || null, complaints: updated }
+        }),
+        message: (count) => `${count} complaint(s) assigned to ${getAssigneeLabel(assignedTo)}`
+    });
+}
+
+/**
+ * Change the priority of several complaints (admins and supervisors)
+ * The deadline is recomputed for the new priority from when the complaint's clock started.
+ * @param {Array<string>} complaintIds - Complaint IDs
+ * @param {string} priority - Priority key from settings
+ * @returns {Promise<Object>} Result object with updated IDs and failed [{ id, title, error }]
+ */
+export async function bulkSetPriority(complaintIds, priority) {
+    const settings = await getComplaintSettings();
+    if (!getSettingOptions(settings, 'priorities').some(p => p.key === priority)) {
+        return {
+            success: false,
+            error: "Please choose a priority"
+        };
+    }
+    const label = getSettingLabel(settings, 'priorities', priority);
+    const now = Date.now();
+    const before = {};
+
+    return runBulkAction(complaintIds, {
+        permission: 'setPriority',
+        permissionError: "Only supervisors can change priorities",
+        prepare: async (updates, id, complaint) => {
+            const current = String(complaint.priority || 'medium').toLowerCase();
+            if (current === priority) return { error: `Already ${label} priority` };
+            const changed = { ...complaint, priority };
+            const startedAt = complaint.slaStartedAt || complaint.createdAt;
+            const hours = getSlaHours(settings, changed);
+            updates[`complaints/${id}/priority`] = priority;
+            updates[`complaints/${id}/slaHours`] = hours || null;
+            updates[`complaints/${id}/slaStartedAt`] = hours ? startedAt : null;
+            updates[`complaints/${id}/dueAt`] = hours ? computeDueAt(settings, changed, startedAt) : null;
+            updates[`complaints/${id}/updatedAt`] = now;
+            before[id] = current;
+            return {};
+        },
+        audit: (updated) => ({
+            action: AUDIT_ACTIONS.PRIORITY_CHANGED,
+            summary: `${updated.length} complaint(s) set to ${label} priority`,
+            before: { priorities: before },
+            after: { priority: priority, complaints: updated }
+        }),
+        message: (count) => `${count} complaint(s) set to ${label} priority`
+    });
+}
+
+/**
+ * Archive several complaints, or restore them from the archive (admins and supervisors)
+ * @param {Array<string>} complaintIds - Complaint IDs
+ * @param {boolean} archived - True to archive, false to restore
+ * @returns {Promise<Object>} Result object with updated IDs and failed [{ id, title, error }]
+ */
+export async function bulkArchive(complaintIds, archived = true) {
+    const now = Date.now();
+
+    return runBulkAction(complaintIds, {
+        permission: 'archive',
+        permissionError: "Only supervisors can archive complaints",
+        prepare: async (updates, id, complaint) => {
+            if (!!complaint.archivedAt === archived) return { error: archived ? "Already archived" : "Not archived" };
+            updates[`complaints/${id}/archivedAt`] = archived ? now : null;
+            updates[`complaints/${id}/archivedBy`] = archived ? auth.currentUser.uid : null;
+            updates[`complaints/${id}/updatedAt`] = now;
+            return {};
+        },
+        audit: (updated) => ({
+            action: archived ? AUDIT_ACTIONS.ARCHIVED : AUDIT_ACTIONS.UNARCHIVED,
+            summary: `${updated.length} complaint(s) ${archived ? 'archived' : 'restored from the archive'}`,
+            after: { complaints: updated }
+        }),
+        message: (count) => `${count} complaint(s) ${archived ? 'archived' : 'restored from the archive'}`
+    });
+}
+
+/**
+ * Check, prepare and commit one bulk action
+ * @param {Array<string>} complaintIds - Complaint IDs
+ * @param {Object} action - { permission, permissionError, check(access) → error|null,
+ *                          prepare(updates, id, complaint) → { error } or { linked: [ids] },
+ *                          audit(updatedIds) → audit entry fields, message(count) → string }
+ * @returns {Promise<Object>} Result object with updated IDs and failed [{ id, title, error }]
+ */
+async function runBulkAction(complaintIds, action) {
+    try {
+        const user = auth.currentUser;
+        if (!user) {
+            return {
+                success: false,
+                error: "You must be logged in to update complaints"
+            };
+        }
+        const access = await getUserAccess();
+        if (!hasPermission(access, action.permission)) {
+            return {
+                success: false,
+                error: action.permissionError
+            };
+        }
+        const accessError = action.check ? action.check(access) : null;
+        if (accessError) {
+            return {
+                success: false,
+                error: accessError
+            };
+        }
+
+        const ids = [...new Set(complaintIds || [])];
+        if (!ids.length) {
+            return {
+                success: false,
+                error: "Select at least one complaint"
+            };
+        }
+        if (ids.length > MAX_BULK_COMPLAINTS) {
+            return {
+                success: false,
+                error: `Select at most ${MAX_BULK_COMPLAINTS} complaints at a time`
+            };
+        }
+
+        const snapshots = await Promise.all(ids.map(id => get(ref(db, `complaints/${id}`))));
+        const complaints = {};
+        snapshots.forEach((snapshot, index) => {
+            if (snapshot.exists()) complaints[ids[index]] = snapshot.val();
+        });
+
+        const updates = {};
+        const updated = [];
+        const failed = [];
+        // Duplicates already changed through a selected parent
+        const covered = new Set();
+        // Parents first, so their selected duplicates are covered
+        const ordered = [...ids].sort((a, b) => Number(!!(complaints[a] && complaints[a].mergedInto)) - Number(!!(complaints[b] && complaints[b].mergedInto)));
+
+        for (const id of ordered) {
+            const complaint = complaints[id];
+            if (!complaint) {
+                failed.push({ id, title: null, error: "Complaint not found" });
+                continue;
+            }
+            if (covered.has(id)) {
+                updated.push(id);
+                continue;
+            }
+            if (!canAccessComplaint(access, complaint)) {
+                failed.push({ id, title: complaint.title || 'Untitled', error: "Outside your scope" });
+                continue;
+            }
+            const result = await action.prepare(updates, id, complaint);
+            if (result.error) {
+                failed.push({ id, title: complaint.title || 'Untitled', error: result.error });
+                continue;
+            }
+            updated.push(id);
+            (result.linked || []).forEach(childId => covered.add(childId));
+        }
+
+        if (!updated.length) {
+            return {
+                success: false,
+                error: "None of the selected complaints could be changed",
+                updated: [],
+                failed: failed
+            };
+        }
+
+        // One multi-path update: every passing complaint changes together with the audit entry, or none does
+        await commitWithAudit(updates, {
+            targetType: 'complaint',
+            ...action.audit(updated)
+        });
+
+        return {
+            success: true,
+            updated: updated,
+            failed: failed,
+            message: action.message(updated.length) + (failed.length ? `, ${failed.length} skipped` : '')
+        };
+    } catch (error) {
+        console.error("Error running bulk action:", error);
+        return {
+            success: false,
+            error: error.message,
+            updated: [],
+            failed: (complaintIds || []).map(id => ({ id, title: null, error: error.message }))
+        };
+    }
+}
@@ -0,0 +1,261 @@
+// Import Firebase services from config
+import { db, auth } from './firebase-config.js';
+import { getUserAccess, hasPermission, getUserData } from './auth.js';
+import { commitWithAudit, AUDIT_ACTIONS } from './audit-log.js';
+import { ref, push, get, query, orderByChild, equalTo, onValue, off } from "https://www.gstatic.com/firebasejs/12.5.0/firebase-database.js";
+
+/**
+ * Confidential reporting
+ * A confidential complaint is filed under a reporter ID (anon_…) instead of the reporter's user ID, so staff
+ * only ever see the pseudonym. The link back to the account is sealed in confidentialReporters/{reporterId}
+ * ({ userId, complaintId, createdAt, unsealed: { by, reason, unsealedAt } }), which only the reporter can read.
+ * Replies, read receipts and notifications of the complaint use the reporter ID too, and the reporter's
+ * dashboard finds them through the sealed records. A supervisor may unseal a reporter with a reason;
+ * the rules only accept the unsealing together with its audit entry, after which admins and supervisors can read it.
+ */
+
+export const REPORTER_ID_PREFIX = 'anon_';
+export const MIN_UNSEAL_REASON_LENGTH = 10;
+export const MAX_UNSEAL_REASON_LENGTH = 500;
+
+/**
+ * Check whether a complaint was filed confidentially
+ * @param {Object} complaint - Complaint
+ * @returns {boolean} True if the reporter is a pseudonym
+ */
+export function isConfidential(complaint) {
+    return !!(complaint && typeof complaint.userId === 'string' && complaint.userId.startsWith(REPORTER_ID_PREFIX));
+}
+
+/**
+ * Describe the reporter of a complaint for staff
+ * @param {Object} complaint - Complaint
+ * @returns {string} User ID, or a short pseudonymous code for confidential complaints
+ */
+export function getReporterLabel(complaint) {
+    if (!complaint || !complaint.userId) return 'Unknown';
+    if (!isConfidential(complaint)) return complaint.userId;
+    return `Confidential reporter #${complaint.userId.slice(-6).toUpperCase()}`;
+}
+
+/**
+ * Reserve a reporter ID for a new confidential complaint
+ * Push IDs are generated on the device, so this works offline
+ * @returns {string} Reporter ID
+ */
+export function createReporterId() {
+    return `${REPORTER_ID_PREFIX}${push(ref(db, 'confidentialReporters')).key}`;
+}
+
+/**
+ * Add the sealed identity of a confidential complaint to a multi-path update
+ * @param {Object} updates - Multi-path update object (modified in place)
+ * @param {string} reporterId - Reporter ID the complaint is filed under
+ * @param {string} complaintId - Complaint ID
+ * @param {number} createdAt - Submission time of the complaint
+ */
+export function addSealedReporter(updates, reporterId, complaintId, createdAt) {
+    const user = auth.currentUser;
+    updates[`confidentialReporters/${reporterId}/userId`] = user.uid;
+    updates[`confidentialReporters/${reporterId}/complaintId`] = complaintId;
+    updates[`confidentialReporters/${reporterId}/createdAt`] = createdAt;
+}
+
+/**
+ * Check whether the current user filed a complaint, openly or confidentially
+ * @param {Object} complaint - Complaint
+ * @returns {Promise<boolean>} True if the current user is the reporter
+ */
+export async function isOwnComplaint(complaint) {
+    const user = auth.currentUser;
+    if (!user || !complaint) return false;
+    if (complaint.userId === user.uid) return true;
+    if (!isConfidential(complaint)) return false;
+    try {
+        const snapshot = await get(ref(db, `confidentialReporters/${complaint.userId}/userId`));
+        return snapshot.val() === user.uid;
+    } catch (error) {
+        // Anyone else is denied the sealed record
+        return false;
+    }
+}
+
+/**
+ * Listen to the reporter IDs of the current user's confidential complaints
+ * @param {Function} callback - Receives an object of reporterId → complaintId
+ * @returns {Function} Unsubscribe function
+ */
+export function listenToMyReporterIds(callback) {
+    try {
+        const user = auth.currentUser;
+        if (!user) {
+            callback({});
+            return () => {};
+        }
+
+        const reportersQuery = query(ref(db, 'confidentialReporters'), orderByChild('userId'), equalTo(user.uid));
+        onValue(reportersQuery, (snapshot) => {
+            const reporterIds = {};
+            snapshot.forEach((childSnapshot) => {
+                reporterIds[childSnapshot.key] = childSnapshot.val().complaintId;
+            });
+            callback(reporterIds);
+        }, (error) => {
+            console.error("Error listening to reporter IDs:", error);
+            callback({});
+        });
+        return () => off(reportersQuery);
+    } catch (error) {
+        console.error("Error listening to reporter IDs:", error);
+        callback({});
+        return () => {};
+    }
+}
+
+/**
+ * Listen to the current user's confidential complaints
+ * They are filed under reporter IDs, so the userId query of the dashboard does not find them
+ * @param {Function} callback - Receives the complaints array
+ * @returns {Function} Unsubscribe function
+ */
+export function listenToMyConfidentialComplaints(callback) {
+    const complaintRefs = {};
+    const complaints = {};
+    const emit = () => callback(Object.values(complaints));
+
+    const stopReporters = listenToMyReporterIds((reporterIds) => {
+        const complaintIds = Object.values(reporterIds);
+        Object.keys(complaintRefs).forEach(complaintId => {
+            if (complaintIds.includes(complaintId)) return;
+            off(complaintRefs[complaintId]);
+            delete complaintRefs[complaintId];
+            delete complaints[complaintId];
+        });
+        complaintIds.forEach(complaintId => {
+            if (complaintRefs[complaintId]) return;
+            complaintRefs[complaintId] = ref(db, `complaints/${complaintId}`);
+            onValue(complaintRefs[complaintId], (snapshot) => {
+                if (snapshot.exists()) {
+                    complaints[complaintId] = { id: complaintId, ...snapshot.val() };
+                } else {
+                    delete complaints[complaintId];
+                }
+                emit();
+            }, (error) => {
+                console.error("Error listening to confidential complaint:", error);
+            });
+        });
+        emit();
+    });
+
+    return () => {
+        stopReporters();
+        Object.values(complaintRefs).forEach(complaintRef => off(complaintRef));
+    };
+}
+
+/**
+ * Get the account behind a confidential complaint, if it was unsealed (admins and supervisors)
+ * @param {Object} complaint - Complaint
+ * @returns {Promise<Object>} Result object with data ({ userId, name, email, unsealed }), or null while sealed
+ */
+export async function getUnsealedReporter(complaint) {
+    try {
+        if (!isConfidential(complaint)) {
+            return {
+                success: false,
+                error: "This complaint was not filed confidentially"
+            };
+        }
+
+        const snapshot = await get(ref(db, `confidentialReporters/${complaint.userId}`)).catch(() => null);
+        if (!snapshot || !snapshot.exists()) {
+            return {
+                success: true,
+                data: null
+            };
+        }
+
+        const record = snapshot.val();
+        const profile = await getUserData(record.userId);
+        return {
+            success: true,
+            data: {
+                userId: record.userId,
+                name: profile.success ? profile.data.displayName || null : null,
+                email: profile.success ? profile.data.email || null : null,
+                unsealed: record.unsealed || null
+            }
+        };
+    } catch (error) {
+        console.error("Error getting reporter:", error);
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+}
+
+/**
+ * Reveal the account behind a confidential complaint (admins and supervisors)
+ * The reason is stored with the record and in the audit log; the identity itself is not logged.
+ * @param {string} complaintId - Complaint ID
+ * @param {Object} complaint - Complaint (userId is the reporter ID)
+ * @param {string} reason - Why the identity is needed
+ * @returns {Promise<Object>} Result object with data as in getUnsealedReporter
+ */
+export async function unsealReporter(complaintId, complaint, reason) {
+    try {
+        const user = auth.currentUser;
+        if (!user) {
+            return {
+                success: false,
+                error: "You must be logged in to unseal a reporter"
+            };
+        }
+        if (!hasPermission(await getUserAccess(), 'unsealReporter')) {
+            return {
+                success: false,
+                error: "Only supervisors can unseal a reporter"
+            };
+        }
+        if (!isConfidential(complaint)) {
+            return {
+                success: false,
+                error: "This complaint was not filed confidentially"
+            };
+        }
+
+        const trimmed = String(reason || '').trim();
+        if (trimmed.length < MIN_UNSEAL_REASON_LENGTH || trimmed.length > MAX_UNSEAL_REASON_LENGTH) {
+            return {
+                success: false,
+                error: `Please give a reason of ${MIN_UNSEAL_REASON_LENGTH} to ${MAX_UNSEAL_REASON_LENGTH} characters`
+            };
+        }
+
+        await commitWithAudit({
+            [`confidentialReporters/${complaint.userId}/unsealed`]: {
+                by: user.uid,
+                reason: trimmed,
+                unsealedAt: Date.now()
+            }
+        }, {
+            action: AUDIT_ACTIONS.REPORTER_UNSEALED,
+            targetType: 'complaint',
+            targetId: complaintId,
+            summary: `${getReporterLabel(complaint)} on "${complaint.title || 'Untitled'}"`,
+            after: { reporterId: complaint.userId, reason: trimmed }
+        });
+
+        return getUnsealedReporter(complaint);
+    } catch (error) {
+        console.error("Error unsealing reporter:", error);
+        return {
+            success: false,
+            error: error.message.includes('PERMISSION_DENIED')
+                ? "This reporter was already unsealed or cannot be unsealed"
+                : error.message
+        };
+    }
+}
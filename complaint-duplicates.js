@@ -0,0 +1,309 @@
+// Import Firebase services from config
+import { db, auth } from './firebase-config.js';
+import { createHistoryEntry } from './complaint-history.js';
+import { addTrackingUpdate, getOpenSummaries, getPublicAreaKey } from './complaint-tracking.js';
+import { addTransitionTimestamps } from './complaint-timing.js';
+import { getStatusWorkflow, getStatusLabel } from './complaint-workflow.js';
+import { createNotificationEntry, NOTIFICATION_TYPES } from './notifs.js';
+import { getComplaintArea, getComplaintCoordinates, getDistanceMeters } from './complaint-location.js';
+import { getUserAccess, hasPermission } from './auth.js';
+import { commitWithAudit, AUDIT_ACTIONS } from './audit-log.js';
+import { ref, get, query, orderByChild, equalTo } from "https://www.gstatic.com/firebasejs/12.5.0/firebase-database.js";
+
+/**
+ * Duplicate complaint detection and merging
+ * A duplicate keeps its own record but points at its parent through `mergedInto`;
+ * status changes of the parent are copied to every linked complaint.
+ */
+
+// Pinned complaints closer than this are treated as the same spot
+export const DUPLICATE_RADIUS_METERS = 250;
+// Minimum share of words two complaints must have in common (0-1)
+export const DUPLICATE_TEXT_THRESHOLD = 0.3;
+// Complaints in these statuses are not offered as duplicates
+const CLOSED_STATUSES = ['resolved', 'rejected'];
+const MAX_SUGGESTIONS = 5;
+const STOP_WORDS = new Set(['the', 'and', 'for', 'with', 'that', 'this', 'are', 'was', 'our', 'ang', 'mga', 'may', 'hindi']);
+
+/**
+ * Compare a new complaint with an existing one
+ * Both must share the category and the place (distance when both are pinned, otherwise barangay/city),
+ * and their title and description must be similar enough
+ * @param {Object} complaint - Complaint being checked
+ * @param {Object} other - Existing complaint
+ * @returns {Object|null} { similarity, distance } or null if they are not duplicates
+ */
+export function compareComplaints(complaint, other) {
+    if (!complaint || !other || complaint.category !== other.category) return null;
+
+    const a = getComplaintCoordinates(complaint);
+    const b = getComplaintCoordinates(other);
+    let distance = null;
+    if (a && b) {
+        distance = getDistanceMeters(a, b);
+        if (distance > DUPLICATE_RADIUS_METERS) return null;
+    } else if (!isSameArea(complaint, other)) {
+        return null;
+    }
+
+    const similarity = getTextSimilarity(
+        `${complaint.title || ''} ${complaint.description || ''}`,
+        `${other.title || ''} ${other.description || ''}`
+    );
+    if (similarity < DUPLICATE_TEXT_THRESHOLD) return null;
+
+    return { similarity, distance };
+}
+
+/**
+ * Find possible duplicates of a complaint among a list of complaints
+ * Closed complaints and complaints that are already linked to another one are skipped
+ * @param {Object} complaint - Complaint being checked (may not be saved yet)
+ * @param {Array<Object>} complaints - Existing complaints (with id)
+ * @returns {Array<Object>} Matches, most similar first ({ ...complaint, similarity, distance })
+ */
+export function findDuplicatesIn(complaint, complaints) {
+    return (complaints || [])
+        .filter(other => other.id !== complaint.id && !other.mergedInto && !CLOSED_STATUSES.includes(other.status))
+        .map(other => {
+            const match = compareComplaints(complaint, other);
+            return match ? { ...other, ...match } : null;
+        })
+        .filter(Boolean)
+        .sort((x, y) => y.similarity - x.similarity)
+        .slice(0, MAX_SUGGESTIONS);
+}
+
+/**
+ * Find open complaints that look like the same problem
+ * Runs for residents, so it compares against the public summaries of the open complaints around the place
+ * (publicComplaints) rather than the complaints themselves. Summaries carry the title only, so titles are compared.
+ * @param {Object} complaint - Complaint data (category, title, description, locationDetails/location, coordinates)
+ * @returns {Promise<Object>} Result object with matches array
+ */
+export async function findSimilarComplaints(complaint) {
+    try {
+        const summaries = await getOpenSummaries({
+            coordinates: getComplaintCoordinates(complaint),
+            areaKey: getPublicAreaKey(complaint)
+        });
+        const complaints = summaries.map(summary => ({
+            id: summary.complaintId,
+            title: summary.title,
+            category: summary.category,
+            status: summary.status,
+            coordinates: summary.coordinates || null,
+            locationDetails: summary.barangay ? { barangay: summary.barangay, city: summary.city } : null,
+            location: [summary.barangay, summary.city].filter(Boolean).join(', '),
+            createdAt: summary.createdAt
+        }));
+
+        return {
+            success: true,
+            data: findDuplicatesIn({ ...complaint, description: '' }, complaints).map(match => ({
+                id: match.id,
+                title: match.title,
+                location: match.location,
+                status: match.status,
+                createdAt: match.createdAt,
+                similarity: match.similarity,
+                distance: match.distance
+            }))
+        };
+    } catch (error) {
+        console.error("Error finding similar complaints:", error);
+        return {
+            success: false,
+            error: error.message,
+            data: []
+        };
+    }
+}
+
+/**
+ * Get the complaints linked to a parent complaint
+ * @param {string} parentId - Parent complaint ID
+ * @returns {Promise<Array<Object>>} Linked complaints (with id)
+ */
+export async function getLinkedComplaints(parentId) {
+    const snapshot = await get(query(ref(db, 'complaints'), orderByChild('mergedInto'), equalTo(parentId)));
+    const linked = [];
+    snapshot.forEach((childSnapshot) => {
+        linked.push({
+            id: childSnapshot.key,
+            ...childSnapshot.val()
+        });
+    });
+    return linked;
+}
+
+/**
+ * Merge duplicate complaints into a parent complaint (admins and supervisors)
+ * Each duplicate takes the parent's status, gets a history entry and its reporter is notified.
+ * Complaints already linked to a duplicate move to the parent too.
+ * @param {string} parentId - Complaint that stays the main report
+ * @param {Array<string>} duplicateIds - Complaints to link to it
+ * @returns {Promise<Object>} Result object
+ */
+export async function mergeComplaints(parentId, duplicateIds) {
+    try {
+        const user = auth.currentUser;
+        if (!user) {
+            return {
+                success: false,
+                error: "You must be logged in to merge complaints"
+            };
+        }
+        if (!hasPermission(await getUserAccess(), 'merge')) {
+            return {
+                success: false,
+                error: "Only supervisors can merge complaints"
+            };
+        }
+
+        const parentSnap = await get(ref(db, `complaints/${parentId}`));
+        if (!parentSnap.exists()) {
+            return {
+                success: false,
+                error: "Complaint not found"
+            };
+        }
+        const parent = parentSnap.val();
+        if (parent.mergedInto) {
+            return {
+                success: false,
+                error: "This complaint is itself linked to another report; merge into that report instead"
+            };
+        }
+
+        const workflow = await getStatusWorkflow();
+        const statusLabel = getStatusLabel(workflow, parent.status);
+        const now = Date.now();
+        const updates = {};
+        const linkedIds = new Set();
+
+        const link = (id, complaint) => {
+            if (id === parentId || linkedIds.has(id)) return;
+            updates[`complaints/${id}/mergedInto`] = parentId;
+            updates[`complaints/${id}/mergedAt`] = now;
+            updates[`complaints/${id}/status`] = parent.status;
+            updates[`complaints/${id}/updatedAt`] = now;
+            addTransitionTimestamps(updates, id, complaint, parent.status, now);
+
+            const historyEntry = createHistoryEntry(id, {
+                actorId: user.uid,
+                actorName: user.displayName || user.email || 'Admin',
+                fromStatus: complaint.status || null,
+                toStatus: parent.status,
+                note: `Linked to the existing report "${parent.title || 'Untitled'}"`,
+                parentComplaintId: parentId
+            });
+            updates[historyEntry.path] = historyEntry.value;
+            addTrackingUpdate(updates, id, complaint, { status: parent.status, mergedInto: parentId, historyEntry });
+
+            if (complaint.userId) {
+                const notification = createNotificationEntry(complaint.userId, {
+                    type: NOTIFICATION_TYPES.STATUS_UPDATE,
+                    title: 'Complaint Linked',
+                    message: `Your complaint "${complaint.title || 'Untitled'}" was linked to an existing report of the same problem, which is ${statusLabel}. You will be notified as it progresses.`,
+                    relatedComplaintId: id
+                });
+                updates[notification.path] = notification.value;
+            }
+            linkedIds.add(id);
+        };
+
+        for (const id of duplicateIds || []) {
+            const snapshot = await get(ref(db, `complaints/${id}`));
+            if (!snapshot.exists()) continue;
+            const complaint = snapshot.val();
+            if (complaint.mergedInto === parentId) continue;
+
+            link(id, complaint);
+            for (const child of await getLinkedComplaints(id)) {
+                link(child.id, child);
+            }
+        }
+
+        const merged = linkedIds.size;
+        if (!merged) {
+            return {
+                success: false,
+                error: "No complaints to merge"
+            };
+        }
+
+        await commitWithAudit(updates, {
+            action: AUDIT_ACTIONS.MERGED,
+            targetType: 'complaint',
+            targetId: parentId,
+            summary: parent.title || 'Untitled',
+            after: { status: parent.status, linkedComplaints: [...linkedIds] }
+        });
+
+        return {
+            success: true,
+            merged,
+            message: `${merged} complaint(s) linked to "${parent.title || 'Untitled'}"`
+        };
+    } catch (error) {
+        console.error("Error merging complaints:", error);
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+}
+
+/**
+ * Check whether two complaints are in the same barangay/city
+ * @param {Object} a - Complaint
+ * @param {Object} b - Complaint
+ * @returns {boolean} True if the areas match
+ */
+function isSameArea(a, b) {
+    const detailsA = a.locationDetails;
+    const detailsB = b.locationDetails;
+    if (detailsA && detailsB && detailsA.barangay && detailsB.barangay) {
+        // Barangay names repeat across cities, so the city must match as well
+        return normalize(detailsA.barangay) === normalize(detailsB.barangay) && normalize(detailsA.city) === normalize(detailsB.city);
+    }
+    const area = normalize(getComplaintArea(a));
+    return !!area && area === normalize(getComplaintArea(b));
+}
+
+/**
+ * Share of words two texts have in common (Jaccard index of their word sets)
+ * @param {string} a - Text
+ * @param {string} b - Text
+ * @returns {number} Similarity between 0 and 1
+ */
+function getTextSimilarity(a, b) {
+    const wordsA = getWords(a);
+    const wordsB = getWords(b);
+    if (!wordsA.size || !wordsB.size) return 0;
+    let shared = 0;
+    wordsA.forEach(word => { if (wordsB.has(word)) shared++; });
+    return shared / (wordsA.size + wordsB.size - shared);
+}
+
+/**
+ * Get the meaningful words of a text
+ * @param {string} text - Text
+ * @returns {Set<string>} Lowercase words of three or more letters, without common stop words
+ */
+function getWords(text) {
+    return new Set(
+        String(text || '').toLowerCase().split(/[^a-z0-9ñ]+/)
+            .filter(word => word.length > 2 && !STOP_WORDS.has(word))
+    );
+}
+
+/**
+ * Normalize a place name for comparison
+ * @param {string} value - Place name
+ * @returns {string} Lowercase trimmed name
+ */
+function normalize(value) {
+    return String(value || '').trim().toLowerCase();
+}
@@ -0,0 +1,264 @@
+// Import complaint helpers
+import { getComplaintHistory } from './complaint-history.js';
+import { getComplaintAttachments } from './complaint-attachments.js';
+import { getAssigneeLabel } from './complaint-assignment.js';
+import { getReporterLabel } from './complaint-confidentiality.js';
+import { getSettingLabel } from './complaint-settings.js';
+import { getStatusLabel } from './complaint-workflow.js';
+
+/**
+ * Exports for council meetings
+ * The admin list exports to CSV or Excel, the analytics page to a PDF report.
+ * SheetJS and jsPDF are only loaded from the CDN when an export is made.
+ */
+
+const XLSX_MODULE_URL = 'https://cdn.sheetjs.com/xlsx-0.20.3/package/xlsx.mjs';
+const JSPDF_MODULE_URL = 'https://cdn.jsdelivr.net/npm/jspdf@2.5.2/+esm';
+// Spreadsheet apps run cells starting with these characters as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Build one row per complaint with every exported field
+ * Status histories are loaded for each complaint; reporters of confidential complaints stay pseudonymous.
+ * @param {Array<Object>} complaints - Complaints (with id), in the order to export
+ * @param {Object} settings - Settings object from getComplaintSettings
+ * @param {Object} workflow - Workflow object from getStatusWorkflow
+ * @returns {Promise<Array<Object>>} Rows keyed by column title
+ */
+export async function buildComplaintRows(complaints, settings, workflow) {
+    const histories = await Promise.all(complaints.map(c => getComplaintHistory(c.id)));
+    const formatDate = (timestamp) => timestamp ? new Date(timestamp).toLocaleString() : '';
+
+    return complaints.map((c, index) => {
+        const details = c.locationDetails || {};
+        const coordinates = c.coordinates || {};
+        const history = histories[index].data.map(entry =>
+            `${formatDate(entry.createdAt)}: ${entry.fromStatus ? `${getStatusLabel(workflow, entry.fromStatus)} → ` : ''}${getStatusLabel(workflow, entry.toStatus)}` +
+            `${entry.actorName ? ` by ${entry.actorName}` : ''}${entry.note ? ` (${entry.note})` : ''}${entry.proofURL ? ` [proof: ${entry.proofURL}]` : ''}`
+        );
+        const attachments = getComplaintAttachments(c)
+            .map(a => a.url)
+            .filter(url => url && !url.startsWith('data:'));
+
+        return {
+            'Reference No.': c.referenceNumber || '',
+            'Complaint ID': c.id,
+            'Title': c.title || '',
+            'Description': c.description || '',
+            'Category': c.category ? getSettingLabel(settings, 'categories', c.category) : '',
+            'Priority': getSettingLabel(settings, 'priorities', (c.priority || 'medium').toLowerCase()),
+            'Status': getStatusLabel(workflow, c.status || 'pending'),
+            'Reporter': getReporterLabel(c),
+            'Location': c.location || '',
+            'Province': details.province || '',
+            'City': details.city || '',
+            'Barangay': details.barangay || '',
+            'Location Detail': details.detail || '',
+            'Latitude': Number.isFinite(coordinates.latitude) ? coordinates.latitude : '',
+            'Longitude': Number.isFinite(coordinates.longitude) ? coordinates.longitude : '',
+            'Assigned To': getAssigneeLabel(c.assignedTo),
+            'Residents Affected': c.voteCount || 0,
+            'Merged Into': c.mergedInto || '',
+            'Filed': formatDate(c.createdAt),
+            'Last Updated': formatDate(c.updatedAt),
+            'First Response': formatDate(c.firstResponseAt),
+            'Resolved': formatDate(c.resolvedAt),
+            'Rejected': formatDate(c.rejectedAt),
+            'Due': formatDate(c.dueAt),
+            'Archived': formatDate(c.archivedAt),
+            'Status History': history.join('\n'),
+            'Attachments': attachments.join('\n')
+        };
+    });
+}
+
+/**
+ * Download rows as a CSV file (UTF-8 with BOM so Excel keeps accents and ñ)
+ * @param {Array<Object>} rows - Rows from buildComplaintRows
+ * @param {string} fileName - File name
+ */
+export function downloadCsv(rows, fileName) {
+    const columns = rows.length ? Object.keys(rows[0]) : [];
+    const escapeCell = (value) => {
+        let text = value === null || value === undefined ? '' : String(value);
+        if (typeof value === 'string' && FORMULA_PREFIX.test(text)) text = `'${text}`;
+        return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const lines = [columns.map(escapeCell).join(',')]
+        .concat(rows.map(row => columns.map(column => escapeCell(row[column])).join(',')));
+    downloadBlob(new Blob(['\uFEFF' + lines.join('\r\n')], { type: 'text/csv;charset=utf-8' }), fileName);
+}
+
+/**
+ * Download rows as an Excel workbook
+ * @param {Array<Object>} rows - Rows from buildComplaintRows
+ * @param {string} fileName - File name
+ * @param {string} sheetName - Worksheet name
+ * @returns {Promise<void>} Resolves once the download starts
+ */
+export async function downloadXlsx(rows, fileName, sheetName = 'Complaints') {
+    const XLSX = await import(XLSX_MODULE_URL);
+    const sheet = XLSX.utils.json_to_sheet(rows);
+    const columns = rows.length ? Object.keys(rows[0]) : [];
+    // Wide enough for the longest line of each column, capped so descriptions wrap
+    sheet['!cols'] = columns.map(column => ({
+        wch: Math.min(60, Math.max(column.length, ...rows.map(row => String(row[column]).split('\n').reduce((max, line) => Math.max(max, line.length), 0))) + 2)
+    }));
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, sheet, sheetName);
+    XLSX.writeFile(workbook, fileName);
+}
+
+/**
+ * Generate and download a PDF report
+ * Charts are copied from their canvases onto the background they are shown on, so they stay readable in dark mode.
+ * @param {Object} report - { title, subtitle, metrics: [{ label, value }], charts: [{ title, canvas }],
+ *                          tables: [{ title, columns: [string], rows: [[string]] }] }
+ * @param {string} fileName - File name
+ * @returns {Promise<void>} Resolves once the download starts
+ */
+export async function downloadPdfReport(report, fileName) {
+    const { jsPDF } = await import(JSPDF_MODULE_URL);
+    const doc = new jsPDF({ unit: 'mm', format: 'a4' });
+    const pageWidth = doc.internal.pageSize.getWidth();
+    const pageHeight = doc.internal.pageSize.getHeight();
+    const margin = 15;
+    const contentWidth = pageWidth - margin * 2;
+    let y = margin;
+
+    const ensureSpace = (height) => {
+        if (y + height > pageHeight - margin) {
+            doc.addPage();
+            y = margin;
+        }
+    };
+
+    doc.setFontSize(18);
+    doc.text(report.title, margin, y + 6);
+    y += 12;
+    doc.setFontSize(10);
+    doc.setTextColor(100);
+    if (report.subtitle) {
+        doc.text(report.subtitle, margin, y);
+        y += 5;
+    }
+    doc.text(`Generated ${new Date().toLocaleString()}`, margin, y);
+    doc.setTextColor(0);
+    y += 8;
+
+    // Metrics as a row of boxes
+    const metrics = report.metrics || [];
+    if (metrics.length) {
+        const gap = 4;
+        const boxWidth = (contentWidth - gap * (metrics.length - 1)) / metrics.length;
+        metrics.forEach((metric, index) => {
+            const x = margin + index * (boxWidth + gap);
+            doc.setDrawColor(200);
+            doc.roundedRect(x, y, boxWidth, 20, 2, 2);
+            doc.setFontSize(14);
+            doc.text(String(metric.value), x + boxWidth / 2, y + 9, { align: 'center' });
+            doc.setFontSize(8);
+            doc.setTextColor(100);
+            doc.text(metric.label, x + boxWidth / 2, y + 15, { align: 'center' });
+            doc.setTextColor(0);
+        });
+        y += 28;
+    }
+
+    // Charts, two per row
+    const charts = (report.charts || []).filter(chart => chart.canvas);
+    const chartWidth = (contentWidth - 6) / 2;
+    for (let i = 0; i < charts.length; i += 2) {
+        const row = charts.slice(i, i + 2);
+        const heights = row.map(chart => chartWidth * chart.canvas.height / chart.canvas.width);
+        const rowHeight = Math.max(...heights) + 8;
+        ensureSpace(rowHeight);
+        row.forEach((chart, index) => {
+            const x = margin + index * (chartWidth + 6);
+            doc.setFontSize(11);
+            doc.text(chart.title, x, y + 4);
+            doc.addImage(getChartImage(chart.canvas), 'PNG', x, y + 6, chartWidth, heights[index]);
+        });
+        y += rowHeight + 4;
+    }
+
+    // Tables
+    (report.tables || []).forEach(table => {
+        const columnWidth = contentWidth / table.columns.length;
+        ensureSpace(20);
+        doc.setFontSize(12);
+        doc.text(table.title, margin, y + 4);
+        y += 9;
+
+        const drawRow = (cells, bold) => {
+            ensureSpace(7);
+            doc.setFont(undefined, bold ? 'bold' : 'normal');
+            doc.setFontSize(9);
+            cells.forEach((cell, index) => {
+                const text = doc.splitTextToSize(String(cell), columnWidth - 2)[0] || '';
+                doc.text(text, margin + index * columnWidth, y + 4);
+            });
+            doc.setDrawColor(220);
+            doc.line(margin, y + 6, margin + contentWidth, y + 6);
+            y += 7;
+        };
+        drawRow(table.columns, true);
+        if (table.rows.length) {
+            table.rows.forEach(row => drawRow(row, false));
+        } else {
+            drawRow(['No data'], false);
+        }
+        doc.setFont(undefined, 'normal');
+        y += 6;
+    });
+
+    doc.save(fileName);
+}
+
+/**
+ * Build a dated export file name
+ * @param {string} prefix - e.g. "complaints"
+ * @param {string} extension - e.g. "csv"
+ * @returns {string} e.g. "voiceup-complaints-2026-03-01.csv"
+ */
+export function getExportFileName(prefix, extension) {
+    const today = new Date();
+    const date = `${today.getFullYear()}-${String(today.getMonth() + 1).padStart(2, '0')}-${String(today.getDate()).padStart(2, '0')}`;
+    return `voiceup-${prefix}-${date}.${extension}`;
+}
+
+/**
+ * Copy a chart canvas onto the background color of its container
+ * @param {HTMLCanvasElement} canvas - Chart canvas
+ * @returns {string} PNG data URL
+ */
+function getChartImage(canvas) {
+    const copy = document.createElement('canvas');
+    copy.width = canvas.width;
+    copy.height = canvas.height;
+    const context = copy.getContext('2d');
+    let background = 'transparent';
+    for (let el = canvas.parentElement; el && (background === 'transparent' || background === 'rgba(0, 0, 0, 0)'); el = el.parentElement) {
+        background = getComputedStyle(el).backgroundColor;
+    }
+    context.fillStyle = background && background !== 'rgba(0, 0, 0, 0)' ? background : '#ffffff';
+    context.fillRect(0, 0, copy.width, copy.height);
+    context.drawImage(canvas, 0, 0);
+    return copy.toDataURL('image/png');
+}
+
+/**
+ * Start a browser download of a blob
+ * @param {Blob} blob - File contents
+ * @param {string} fileName - File name
+ */
+function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
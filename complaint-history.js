@@ -0,0 +1,61 @@
+// Import Firebase services from config
+import { db } from './firebase-config.js';
+import { ref, push, get } from "https://www.gstatic.com/firebasejs/12.5.0/firebase-database.js";
+
+/**
+ * Build a status history entry and its database path
+ * History lives in complaintHistory/{complaintId}/{entryId} so the rules can keep it append-only
+ * @param {string} complaintId - Complaint ID
+ * @param {Object} entry - Entry fields (actorId, actorName, fromStatus, toStatus, note, proofURL,
+ *                         parentComplaintId when the change was copied from a linked parent complaint)
+ * @returns {Object} Object with path and value, ready for a multi-path update
+ */
+export function createHistoryEntry(complaintId, entry) {
+    const entryRef = push(ref(db, `complaintHistory/${complaintId}`));
+    return {
+        path: `complaintHistory/${complaintId}/${entryRef.key}`,
+        value: {
+            actorId: entry.actorId,
+            actorName: entry.actorName || null,
+            fromStatus: entry.fromStatus || null,
+            toStatus: entry.toStatus,
+            note: entry.note || null,
+            proofURL: entry.proofURL || null,
+            parentComplaintId: entry.parentComplaintId || null,
+            createdAt: Date.now()
+        }
+    };
+}
+
+/**
+ * Get the status history of a complaint (oldest first)
+ * @param {string} complaintId - Complaint ID
+ * @returns {Promise<Object>} Result object with history entries array
+ */
+export async function getComplaintHistory(complaintId) {
+    try {
+        const historyRef = ref(db, `complaintHistory/${complaintId}`);
+        const snapshot = await get(historyRef);
+
+        const entries = [];
+        snapshot.forEach((childSnapshot) => {
+            entries.push({
+                id: childSnapshot.key,
+                ...childSnapshot.val()
+            });
+        });
+        entries.sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0));
+
+        return {
+            success: true,
+            data: entries
+        };
+    } catch (error) {
+        console.error("Error getting complaint history:", error);
+        return {
+            success: false,
+            error: error.message,
+            data: []
+        };
+    }
+}
@@ -0,0 +1,108 @@
+// Import Firebase services from config
+import { db } from './firebase-config.js';
+import { ref, get, update } from "https://www.gstatic.com/firebasejs/12.5.0/firebase-database.js";
+
+/**
+ * Inline image previews
+ * The base64 previews shown before an upload finishes (the reporter's first image and the staff proof
+ * photos) live in complaintImages/{complaintId} ({ inlineImage, progressProofInline, resolvedProofInline,
+ * rejectedProofInline }) rather than on the complaint, so complaint lists stay small. Pages load them
+ * only for the complaints they show. Older complaints still carry them on the record until they are moved.
+ */
+
+export const INLINE_IMAGE_FIELDS = ['inlineImage', 'progressProofInline', 'resolvedProofInline', 'rejectedProofInline'];
+// Complaints moved per update; previews are large, so batches stay small
+const MOVE_BATCH_SIZE = 20;
+
+// Loaded previews by complaint ID and version (updatedAt), so an edited complaint is read again
+const imageCache = new Map();
+
+/**
+ * Add an inline preview to a multi-path update
+ * @param {Object} updates - Multi-path update object (modified in place)
+ * @param {string} complaintId - Complaint ID
+ * @param {string} field - One of INLINE_IMAGE_FIELDS
+ * @param {string|null} dataUrl - Base64 image, or null to remove it
+ */
+export function addComplaintImage(updates, complaintId, field, dataUrl) {
+    updates[`complaintImages/${complaintId}/${field}`] = dataUrl || null;
+}
+
+/**
+ * Get the inline previews of a complaint
+ * @param {Object} complaint - Complaint (with id)
+ * @returns {Promise<Object>} Previews keyed by field (empty if there are none or they cannot be read)
+ */
+export function getComplaintImages(complaint) {
+    const key = `${complaint.id}:${complaint.updatedAt || 0}`;
+    if (!imageCache.has(key)) {
+        imageCache.set(key, get(ref(db, `complaintImages/${complaint.id}`))
+            .then(snapshot => snapshot.val() || {})
+            .catch((error) => {
+                console.error("Error getting complaint images:", error);
+                imageCache.delete(key);
+                return {};
+            }));
+    }
+    return imageCache.get(key);
+}
+
+/**
+ * Add the inline previews to complaints about to be shown
+ * @param {Array<Object>} complaints - Complaints (with id)
+ * @returns {Promise<Array<Object>>} Copies of the complaints with their preview fields filled in
+ */
+export async function withComplaintImages(complaints) {
+    const images = await Promise.all(complaints.map(getComplaintImages));
+    return complaints.map((complaint, index) => ({ ...complaint, ...images[index] }));
+}
+
+/**
+ * Check whether a complaint still carries inline previews on its record
+ * @param {Object} complaint - Complaint
+ * @returns {boolean} True if moveInlineImages would move something
+ */
+export function hasInlineImagesOnRecord(complaint) {
+    return INLINE_IMAGE_FIELDS.some(field => !!complaint[field]);
+}
+
+/**
+ * Move the inline previews of older complaints off their records (staff who can work on them)
+ * @param {Array<Object>} complaints - Complaints (with id), as read from the complaints node
+ * @returns {Promise<Object>} Result object with the number of complaints moved
+ */
+export async function moveInlineImages(complaints) {
+    try {
+        const moved = complaints.filter(hasInlineImagesOnRecord);
+        for (let i = 0; i < moved.length; i += MOVE_BATCH_SIZE) {
+            const batch = moved.slice(i, i + MOVE_BATCH_SIZE);
+            const updates = {};
+            batch.forEach(complaint => {
+                INLINE_IMAGE_FIELDS.forEach(field => {
+                    if (!complaint[field]) return;
+                    addComplaintImage(updates, complaint.id, field, complaint[field]);
+                    updates[`complaints/${complaint.id}/${field}`] = null;
+                });
+            });
+            await update(ref(db), updates);
+            // The records keep their version, so remember the previews that were just moved
+            batch.forEach(complaint => {
+                const images = {};
+                INLINE_IMAGE_FIELDS.forEach(field => {
+                    if (complaint[field]) images[field] = complaint[field];
+                });
+                imageCache.set(`${complaint.id}:${complaint.updatedAt || 0}`, Promise.resolve(images));
+            });
+        }
+        return {
+            success: true,
+            moved: moved.length
+        };
+    } catch (error) {
+        console.error("Error moving complaint images:", error);
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+}
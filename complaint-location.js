@@ -0,0 +1,140 @@
+/**
+ * Complaint location helpers
+ * Complaints keep a display string in `location`, the address parts in `locationDetails`
+ * ({ province, city, barangay, detail }) and an optional pin in `coordinates`
+ * ({ latitude, longitude, accuracy, source }).
+ */
+
+// Rough bounding box of the Philippines, used to catch misplaced pins
+const PH_BOUNDS = { minLat: 4.2, maxLat: 21.5, minLng: 116.0, maxLng: 127.0 };
+
+/**
+ * Build the display string of a location ("Barangay, City, Province - Detail")
+ * @param {Object} parts - Address parts ({ province, city, barangay, detail })
+ * @returns {string} Location string (empty if no parts)
+ */
+export function buildLocationString(parts = {}) {
+    let location = [parts.barangay, parts.city, parts.province]
+        .map(part => (part || '').trim())
+        .filter(Boolean)
+        .join(', ');
+    const detail = (parts.detail || '').trim();
+    if (detail) {
+        location += location ? ` - ${detail}` : detail;
+    }
+    return location;
+}
+
+/**
+ * Check the address parts and optional coordinates of a complaint
+ * @param {Object} parts - Address parts ({ province, city, barangay, detail })
+ * @param {Object|null} coordinates - Optional { latitude, longitude }
+ * @returns {Object} { valid: boolean, error?: string }
+ */
+export function validateLocation(parts = {}, coordinates = null) {
+    if (!buildLocationString(parts)) {
+        return { valid: false, error: "Please provide at least one location field (Barangay, City, or Province)" };
+    }
+
+    if (coordinates) {
+        const { latitude, longitude } = coordinates;
+        if (!Number.isFinite(latitude) || !Number.isFinite(longitude) ||
+            latitude < -90 || latitude > 90 || longitude < -180 || longitude > 180) {
+            return { valid: false, error: "The pinned location is not a valid coordinate" };
+        }
+        if (latitude < PH_BOUNDS.minLat || latitude > PH_BOUNDS.maxLat ||
+            longitude < PH_BOUNDS.minLng || longitude > PH_BOUNDS.maxLng) {
+            return { valid: false, error: "The pinned location is outside the Philippines" };
+        }
+    }
+
+    return { valid: true };
+}
+
+/**
+ * Get the area a complaint belongs to, most specific first (barangay, then city, then province)
+ * Older complaints only have the location string, whose first part is used
+ * @param {Object} complaint - Complaint object
+ * @returns {string} Area name ('' if unknown)
+ */
+export function getComplaintArea(complaint) {
+    const details = complaint && complaint.locationDetails;
+    if (details) {
+        return details.barangay || details.city || details.province || '';
+    }
+    return complaint && complaint.location ? complaint.location.split(/,| - /)[0].trim() : '';
+}
+
+/**
+ * Get the key barangay officials list a complaint by
+ * Their scope names a barangay and its city, and the database rules compare it with this key
+ * @param {Object|null} details - Address parts ({ barangay, city }) of a complaint or a scope
+ * @returns {string|null} "barangay|city", or null unless both are set
+ */
+export function getBarangayKey(details) {
+    const barangay = String((details && details.barangay) || '').trim();
+    const city = String((details && details.city) || '').trim();
+    if (!barangay || !city || barangay.includes('|') || city.includes('|')) return null;
+    return `${barangay}|${city}`;
+}
+
+/**
+ * Get the pinned coordinates of a complaint
+ * @param {Object} complaint - Complaint object
+ * @returns {Object|null} { latitude, longitude } or null if not pinned
+ */
+export function getComplaintCoordinates(complaint) {
+    const coords = complaint && complaint.coordinates;
+    if (!coords || !Number.isFinite(coords.latitude) || !Number.isFinite(coords.longitude)) {
+        return null;
+    }
+    return { latitude: coords.latitude, longitude: coords.longitude };
+}
+
+/**
+ * Distance between two points (haversine)
+ * @param {Object} a - { latitude, longitude }
+ * @param {Object} b - { latitude, longitude }
+ * @returns {number} Distance in meters
+ */
+export function getDistanceMeters(a, b) {
+    const toRad = (deg) => deg * Math.PI / 180;
+    const dLat = toRad(b.latitude - a.latitude);
+    const dLng = toRad(b.longitude - a.longitude);
+    const h = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRad(a.latitude)) * Math.cos(toRad(b.latitude)) * Math.sin(dLng / 2) ** 2;
+    return 2 * 6371000 * Math.asin(Math.sqrt(h));
+}
+
+/**
+ * Get the device position from the browser Geolocation API
+ * @param {Object} options - Geolocation options
+ * @returns {Promise<Object>} Result object with latitude, longitude and accuracy (meters)
+ */
+export function getCurrentPosition(options = { enableHighAccuracy: true, timeout: 15000, maximumAge: 60000 }) {
+    return new Promise((resolve) => {
+        if (!navigator.geolocation) {
+            resolve({
+                success: false,
+                error: "Location is not supported by this browser"
+            });
+            return;
+        }
+
+        navigator.geolocation.getCurrentPosition(
+            (position) => resolve({
+                success: true,
+                latitude: position.coords.latitude,
+                longitude: position.coords.longitude,
+                accuracy: position.coords.accuracy
+            }),
+            (error) => resolve({
+                success: false,
+                error: error.code === error.PERMISSION_DENIED
+                    ? "Location permission was denied"
+                    : "Could not get your current location"
+            }),
+            options
+        );
+    });
+}
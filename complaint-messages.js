@@ -0,0 +1,274 @@
+// Import Firebase services from config
+import { db, auth, storage } from './firebase-config.js';
+import { USE_CLOUDINARY, CLOUDINARY_CLOUD_NAME, CLOUDINARY_UPLOAD_PRESET, CLOUDINARY_FOLDER } from './media-config.js';
+import { isStaffMember } from './auth.js';
+import { createNotificationEntry, NOTIFICATION_TYPES } from './notifs.js';
+import { addTrackingUpdate } from './complaint-tracking.js';
+import { isConfidential, getReporterLabel } from './complaint-confidentiality.js';
+import { addFirstResponse } from './complaint-timing.js';
+import { ref, push, set, get, update, onValue, off } from "https://www.gstatic.com/firebasejs/12.5.0/firebase-database.js";
+import { ref as storageRef, uploadBytes, getDownloadURL } from "https://www.gstatic.com/firebasejs/12.5.0/firebase-storage.js";
+
+/**
+ * Conversation thread of a complaint
+ * Public replies live in complaintMessages/{complaintId} (reporter and staff);
+ * internal notes live in complaintInternalNotes/{complaintId}, which only staff can read.
+ * Read receipts are the last time each participant opened the thread:
+ * complaintMessageReads/{complaintId}/{userId} = timestamp.
+ * On a confidential complaint the reporter writes and reads under the reporter ID instead of the user ID.
+ */
+
+export const MAX_MESSAGE_LENGTH = 2000;
+
+/**
+ * Listen to the public replies of a complaint
+ * @param {string} complaintId - Complaint ID
+ * @param {Function} callback - Receives the messages array (oldest first)
+ * @returns {Function} Unsubscribe function
+ */
+export function listenToMessages(complaintId, callback) {
+    return listenToThread(`complaintMessages/${complaintId}`, callback);
+}
+
+/**
+ * Listen to the internal notes of a complaint (staff only)
+ * @param {string} complaintId - Complaint ID
+ * @param {Function} callback - Receives the notes array (oldest first), each with internal: true
+ * @returns {Function} Unsubscribe function
+ */
+export function listenToInternalNotes(complaintId, callback) {
+    return listenToThread(`complaintInternalNotes/${complaintId}`, (notes) => {
+        callback(notes.map(note => ({ ...note, internal: true })));
+    });
+}
+
+/**
+ * Listen to the read receipts of a complaint thread
+ * @param {string} complaintId - Complaint ID
+ * @param {Function} callback - Receives an object of userId → last read timestamp
+ * @returns {Function} Unsubscribe function
+ */
+export function listenToReadReceipts(complaintId, callback) {
+    try {
+        const readsRef = ref(db, `complaintMessageReads/${complaintId}`);
+        onValue(readsRef, (snapshot) => {
+            callback(snapshot.val() || {});
+        }, (error) => {
+            console.error("Error listening to read receipts:", error);
+            callback({});
+        });
+        return () => off(readsRef);
+    } catch (error) {
+        console.error("Error listening to read receipts:", error);
+        callback({});
+        return () => {};
+    }
+}
+
+/**
+ * Record that the current user has read the thread up to now
+ * @param {string} complaintId - Complaint ID
+ * @param {string} readerId - Optional ID to record the read under (the reporter ID of a confidential complaint)
+ * @returns {Promise<Object>} Result object
+ */
+export async function markThreadRead(complaintId, readerId = null) {
+    try {
+        const user = auth.currentUser;
+        if (!user) {
+            return {
+                success: false,
+                error: "You must be logged in"
+            };
+        }
+        await set(ref(db, `complaintMessageReads/${complaintId}/${readerId || user.uid}`), Date.now());
+        return {
+            success: true
+        };
+    } catch (error) {
+        console.error("Error marking thread read:", error);
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+}
+
+/**
+ * Check whether the other side has seen a message
+ * Resident messages count as seen once any staff member opened the thread after them, and vice versa
+ * @param {Object} message - Message
+ * @param {Object} reads - Read receipts from listenToReadReceipts
+ * @param {string} ownerId - User ID of the complaint's reporter
+ * @returns {boolean} True if seen
+ */
+export function isMessageSeen(message, reads, ownerId) {
+    return Object.keys(reads || {}).some(userId => {
+        const otherSide = message.authorRole === 'resident' ? userId !== ownerId : userId === ownerId;
+        return otherSide && reads[userId] >= message.createdAt;
+    });
+}
+
+/**
+ * Post a message on a complaint
+ * Staff replies notify the reporter; internal notes are never shown to the reporter.
+ * @param {string} complaintId - Complaint ID
+ * @param {Object} message - { text, file (optional image), internal (staff only) }
+ * @returns {Promise<Object>} Result object
+ */
+export async function sendMessage(complaintId, message) {
+    try {
+        const user = auth.currentUser;
+        if (!user) {
+            return {
+                success: false,
+                error: "You must be logged in to send a message"
+            };
+        }
+
+        const text = String(message.text || '').trim();
+        if (!text && !message.file) {
+            return {
+                success: false,
+                error: "Please write a message or attach an image"
+            };
+        }
+        if (text.length > MAX_MESSAGE_LENGTH) {
+            return {
+                success: false,
+                error: `Messages are limited to ${MAX_MESSAGE_LENGTH} characters`
+            };
+        }
+        if (message.file && !(message.file.type || '').startsWith('image/')) {
+            return {
+                success: false,
+                error: "Only images can be attached to messages"
+            };
+        }
+
+        const complaintSnap = await get(ref(db, `complaints/${complaintId}`));
+        if (!complaintSnap.exists()) {
+            return {
+                success: false,
+                error: "Complaint not found"
+            };
+        }
+        const complaint = complaintSnap.val();
+        const admin = await isStaffMember();
+        if (message.internal && !admin) {
+            return {
+                success: false,
+                error: "Only staff can write internal notes"
+            };
+        }
+
+        const imageURL = message.file ? await uploadMessageImage(complaintId, message.file) : null;
+        const now = Date.now();
+        const thread = message.internal ? 'complaintInternalNotes' : 'complaintMessages';
+        const messageRef = push(ref(db, `${thread}/${complaintId}`));
+        const authorRole = admin ? 'admin' : 'resident';
+        // Confidential reporters post under their reporter ID, without their name
+        const anonymous = !admin && isConfidential(complaint);
+        const authorId = anonymous ? complaint.userId : user.uid;
+
+        const updates = {
+            [`${thread}/${complaintId}/${messageRef.key}`]: {
+                authorId: authorId,
+                authorName: anonymous ? getReporterLabel(complaint) : user.displayName || user.email || (admin ? 'Admin' : 'Resident'),
+                authorRole: authorRole,
+                text: text,
+                imageURL: imageURL,
+                createdAt: now
+            },
+            [`complaintMessageReads/${complaintId}/${authorId}`]: now
+        };
+
+        if (!message.internal) {
+            // Lets both dashboards flag complaints that wait for an answer without loading every thread
+            updates[`complaints/${complaintId}/lastMessage`] = { authorRole, createdAt: now };
+
+            // Staff replies also appear on the public tracking page, and the first one counts as the first response
+            if (admin) {
+                addFirstResponse(updates, complaintId, complaint, now);
+                addTrackingUpdate(updates, complaintId, complaint, { reply: { id: messageRef.key, text, imageURL, createdAt: now } });
+            }
+
+            if (admin && complaint.userId) {
+                const notification = createNotificationEntry(complaint.userId, {
+                    type: NOTIFICATION_TYPES.MESSAGE,
+                    title: 'New Reply on Your Complaint',
+                    message: `${text ? `"${text.length > 120 ? `${text.slice(0, 117)}...` : text}"` : 'An image was sent'} on "${complaint.title || 'Untitled'}".`,
+                    relatedComplaintId: complaintId
+                });
+                updates[notification.path] = notification.value;
+            }
+        }
+
+        await update(ref(db), updates);
+
+        return {
+            success: true,
+            messageId: messageRef.key
+        };
+    } catch (error) {
+        console.error("Error sending message:", error);
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+}
+
+/**
+ * Listen to one thread node
+ * @param {string} path - Database path of the thread
+ * @param {Function} callback - Receives the entries array (oldest first)
+ * @returns {Function} Unsubscribe function
+ */
+function listenToThread(path, callback) {
+    try {
+        const threadRef = ref(db, path);
+        onValue(threadRef, (snapshot) => {
+            const entries = [];
+            snapshot.forEach((childSnapshot) => {
+                entries.push({
+                    id: childSnapshot.key,
+                    ...childSnapshot.val()
+                });
+            });
+            entries.sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0));
+            callback(entries);
+        }, (error) => {
+            console.error(`Error listening to ${path}:`, error);
+            callback([]);
+        });
+        return () => off(threadRef);
+    } catch (error) {
+        console.error(`Error listening to ${path}:`, error);
+        callback([]);
+        return () => {};
+    }
+}
+
+/**
+ * Upload an image attached to a message
+ * @param {string} complaintId - Complaint ID
+ * @param {File} file - Image file
+ * @returns {Promise<string>} Download URL
+ */
+async function uploadMessageImage(complaintId, file) {
+    if (USE_CLOUDINARY) {
+        const formData = new FormData();
+        formData.append('file', file);
+        formData.append('upload_preset', CLOUDINARY_UPLOAD_PRESET);
+        if (CLOUDINARY_FOLDER) formData.append('folder', `${CLOUDINARY_FOLDER}/messages/${complaintId}`);
+        formData.append('context', `complaintId=${complaintId}`);
+        const res = await fetch(`https://api.cloudinary.com/v1_1/${CLOUDINARY_CLOUD_NAME}/image/upload`, { method: 'POST', body: formData });
+        if (!res.ok) throw new Error(`Cloudinary error ${res.status}`);
+        const data = await res.json();
+        return data.secure_url;
+    }
+
+    const sRef = storageRef(storage, `complaints/${complaintId}/messages/${Date.now()}-${file.name}`);
+    await uploadBytes(sRef, file, { contentType: file.type || 'image/jpeg' });
+    return getDownloadURL(sRef);
+}
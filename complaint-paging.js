@@ -0,0 +1,126 @@
+// Import Firebase services from config
+import { db } from './firebase-config.js';
+import { ref, get, query, orderByKey, orderByChild, startAt, endAt, endBefore, limitToLast, onChildAdded, onChildChanged, onChildRemoved, onValue } from "https://www.gstatic.com/firebasejs/12.5.0/firebase-database.js";
+
+/**
+ * Paginated complaint lists
+ * Pages are read newest first straight from the database, using the .indexOn entries of the complaints node:
+ * unfiltered pages are ordered by key (push IDs sort by creation time), filtered pages by the indexed field and
+ * then by key. A page holds the complaints before a cursor, the ID of the last complaint on the previous page;
+ * one extra complaint is read to tell whether another page follows.
+ * Pages stay live through child listeners, so a change only sends the complaints it touches. On the first page a
+ * new complaint slides in at the top and the oldest one drops off.
+ * The admin dashboard pages this way whenever its list may hold complaints outside its working set (open and recent
+ * complaints, see getWorkingComplaints), and reads one long page with getComplaintPage to select or export them.
+ * The rules only allow these queries for admins and supervisors; other staff list their scope with getWorkingComplaints.
+ */
+
+// Fields a page can be filtered on (each has an .indexOn entry)
+export const COMPLAINT_PAGE_FIELDS = ['status', 'category', 'assignedTo/userId', 'assignedTo/departmentId', 'archivedAt'];
+
+/**
+ * Build the query for one page of complaints
+ * @param {Object|null} filter - { field (one of COMPLAINT_PAGE_FIELDS), value }, or null for every complaint;
+ *                               a null value matches complaints without the field
+ * @param {string|null} cursor - ID of the last complaint on the previous page, or null for the first page
+ * @param {number} pageSize - Complaints per page
+ * @returns {Object} Database query
+ */
+export function buildComplaintPageQuery(filter, cursor, pageSize) {
+    const complaintsRef = ref(db, 'complaints');
+    if (!filter) {
+        return cursor
+            ? query(complaintsRef, orderByKey(), endBefore(cursor), limitToLast(pageSize + 1))
+            : query(complaintsRef, orderByKey(), limitToLast(pageSize + 1));
+    }
+    if (!COMPLAINT_PAGE_FIELDS.includes(filter.field)) {
+        throw new Error(`Complaints cannot be paged by ${filter.field}`);
+    }
+    return query(
+        complaintsRef,
+        orderByChild(filter.field),
+        startAt(filter.value),
+        cursor ? endBefore(filter.value, cursor) : endAt(filter.value),
+        limitToLast(pageSize + 1)
+    );
+}
+
+/**
+ * Listen to one page of complaints
+ * @param {Object} options - { filter (see buildComplaintPageQuery), cursor, pageSize }
+ * @param {Function} callback - Receives { complaints (newest first, with id), hasMore, error }
+ * @returns {Function} Unsubscribe function
+ */
+export function listenToComplaintPage(options, callback) {
+    try {
+        const pageSize = options.pageSize;
+        const pageQuery = buildComplaintPageQuery(options.filter || null, options.cursor || null, pageSize);
+        const found = {};
+        let loaded = false;
+        let scheduled = false;
+
+        // Child events of one sync arrive together; report them as one change
+        const emit = () => {
+            if (!loaded || scheduled) return;
+            scheduled = true;
+            Promise.resolve().then(() => {
+                scheduled = false;
+                const ids = Object.keys(found).sort().reverse();
+                callback({
+                    complaints: ids.slice(0, pageSize).map(id => ({ id, ...found[id] })),
+                    hasMore: ids.length > pageSize,
+                    error: null
+                });
+            });
+        };
+        const onError = (error) => {
+            console.error("Error listening to complaint page:", error);
+            callback({ complaints: [], hasMore: false, error: error.message });
+        };
+
+        // Only these listeners are removed on unsubscribe; others on the same query (another page view) stay
+        const unsubscribers = [
+            onChildAdded(pageQuery, (snapshot) => {
+                found[snapshot.key] = snapshot.val();
+                emit();
+            }, onError),
+            onChildChanged(pageQuery, (snapshot) => {
+                found[snapshot.key] = snapshot.val();
+                emit();
+            }, onError),
+            onChildRemoved(pageQuery, (snapshot) => {
+                delete found[snapshot.key];
+                emit();
+            }, onError),
+            // Fires once the initial children are in, also when there are none
+            onValue(pageQuery, () => {
+                loaded = true;
+                emit();
+            }, onError, { onlyOnce: true })
+        ];
+
+        return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+    } catch (error) {
+        console.error("Error listening to complaint page:", error);
+        callback({ complaints: [], hasMore: false, error: error.message });
+        return () => {};
+    }
+}
+
+/**
+ * Read one page of complaints once
+ * @param {Object} options - { filter (see buildComplaintPageQuery), cursor, pageSize }
+ * @returns {Promise<Object>} { complaints (newest first, with id), hasMore }
+ */
+export async function getComplaintPage(options) {
+    const snapshot = await get(buildComplaintPageQuery(options.filter || null, options.cursor || null, options.pageSize));
+    const found = {};
+    snapshot.forEach((childSnapshot) => {
+        found[childSnapshot.key] = childSnapshot.val();
+    });
+    const ids = Object.keys(found).sort().reverse();
+    return {
+        complaints: ids.slice(0, options.pageSize).map(id => ({ id, ...found[id] })),
+        hasMore: ids.length > options.pageSize
+    };
+}
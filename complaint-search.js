@@ -0,0 +1,282 @@
+// Import Firebase services from config
+import { db, auth } from './firebase-config.js';
+import { ref, push, remove, onValue, off } from "https://www.gstatic.com/firebasejs/12.5.0/firebase-database.js";
+
+/**
+ * Complaint search
+ * Searches run on the device over the complaints a page has already loaded. A search is
+ * { text, filters: { category, priority, barangay, from, to } } (from/to are YYYY-MM-DD dates of filing).
+ * Every word of the text must be found in the title, description, location, reference number or admin notes.
+ * Words are compared without case or accents ("Parañaque" finds "paranaque"), common English and Filipino
+ * filler words are skipped and street and place abbreviations are expanded. A word also finds longer words that
+ * start with it ("flood" → "flooding") or, from four letters, contain it, which covers Filipino prefixes and
+ * repeated syllables ("sira" → "nasira", "linis" → "naglilinis"); words with the -um-/-in- infix are also
+ * indexed without it ("baha" → "binaha").
+ * Staff can save searches under savedSearches/{userId}/{searchId} ({ name, text, filters, createdAt }).
+ */
+
+export const MAX_SAVED_SEARCH_NAME_LENGTH = 60;
+export const MAX_SEARCH_TEXT_LENGTH = 200;
+export const SEARCH_FILTER_KEYS = ['category', 'priority', 'barangay', 'from', 'to'];
+
+const STOP_WORDS = new Set([
+    'a', 'an', 'the', 'and', 'or', 'of', 'in', 'on', 'at', 'to', 'for', 'with', 'is', 'are', 'was', 'about', 'near',
+    'ang', 'ng', 'nang', 'sa', 'mga', 'na', 'ay', 'si', 'ni', 'kay', 'yung', 'iyong', 'po', 'ho', 'may', 'para', 'dito', 'doon'
+]);
+// Abbreviations written both ways in addresses
+const ABBREVIATIONS = {
+    st: 'street',
+    ave: 'avenue',
+    rd: 'road',
+    blvd: 'boulevard',
+    hwy: 'highway',
+    brgy: 'barangay',
+    bgy: 'barangay',
+    sto: 'santo',
+    sta: 'santa',
+    gen: 'general',
+    subd: 'subdivision'
+};
+// Shortest word that is also looked for inside longer words
+const MIN_INFIX_LENGTH = 4;
+// Filipino -um-/-in- infix after the first consonant
+const FILIPINO_INFIX = /^([^aeiou\d])(um|in)([aeiou][a-z]+)$/;
+// Searchable words by complaint ID and version (updatedAt)
+const wordCache = new Map();
+
+/**
+ * Split text into searchable words
+ * @param {string} text - Text
+ * @returns {Array<string>} Lowercase words without accents, abbreviations expanded and filler words removed
+ */
+export function tokenizeSearchText(text) {
+    return String(text || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .split(/[^a-z0-9]+/)
+        .map(word => ABBREVIATIONS[word] || word)
+        .filter(word => word && !STOP_WORDS.has(word));
+}
+
+/**
+ * Get the searchable words of a complaint
+ * @param {Object} complaint - Complaint (with id)
+ * @returns {Array<string>} Words of the title, description, location, reference number and admin notes
+ */
+export function getSearchWords(complaint) {
+    const key = `${complaint.id}:${complaint.updatedAt || 0}`;
+    if (!wordCache.has(key)) {
+        const details = complaint.locationDetails || {};
+        const text = [
+            complaint.title,
+            complaint.description,
+            complaint.location,
+            details.province,
+            details.city,
+            details.barangay,
+            details.detail,
+            complaint.referenceNumber,
+            complaint.adminNotes
+        ].join(' ');
+        const words = tokenizeSearchText(text);
+        words.forEach(word => {
+            const root = word.replace(FILIPINO_INFIX, '$1$3');
+            if (root !== word) words.push(root);
+        });
+        wordCache.set(key, [...new Set(words)]);
+    }
+    return wordCache.get(key);
+}
+
+/**
+ * Check whether a complaint contains every word of a search text
+ * @param {Object} complaint - Complaint (with id)
+ * @param {string} text - Search text
+ * @returns {boolean} True if every word is found (also true for an empty text)
+ */
+export function matchesSearchText(complaint, text) {
+    const terms = tokenizeSearchText(text);
+    if (!terms.length) return true;
+    const words = getSearchWords(complaint);
+    return terms.every(term => words.some(word =>
+        word.startsWith(term) || (term.length >= MIN_INFIX_LENGTH && word.includes(term))
+    ));
+}
+
+/**
+ * Check whether a complaint matches the search filters
+ * @param {Object} complaint - Complaint
+ * @param {Object} filters - { category, priority, barangay, from, to }; empty values are ignored
+ * @returns {boolean} True if every set filter matches
+ */
+export function matchesSearchFilters(complaint, filters) {
+    const f = filters || {};
+    const details = complaint.locationDetails || {};
+    if (f.category && complaint.category !== f.category) return false;
+    if (f.priority && (complaint.priority || 'medium').toLowerCase() !== f.priority) return false;
+    if (f.barangay && String(details.barangay || '').trim().toLowerCase() !== f.barangay.trim().toLowerCase()) return false;
+    if (f.from && !(complaint.createdAt >= getDayStart(f.from))) return false;
+    if (f.to && !(complaint.createdAt < getDayStart(f.to) + 24 * 60 * 60 * 1000)) return false;
+    return true;
+}
+
+/**
+ * Search complaints
+ * @param {Array<Object>} complaints - Complaints (with id)
+ * @param {Object} search - { text, filters }
+ * @returns {Array<Object>} Matching complaints, in their original order
+ */
+export function searchComplaints(complaints, search) {
+    if (!hasActiveSearch(search)) return complaints;
+    return complaints.filter(c => matchesSearchFilters(c, search.filters) && matchesSearchText(c, search.text));
+}
+
+/**
+ * Check whether a search narrows the list at all
+ * @param {Object} search - { text, filters }
+ * @returns {boolean} True if there is search text or a set filter
+ */
+export function hasActiveSearch(search) {
+    if (!search) return false;
+    return tokenizeSearchText(search.text).length > 0 || SEARCH_FILTER_KEYS.some(key => !!(search.filters || {})[key]);
+}
+
+/**
+ * Barangays the complaints were filed in, for the barangay filter
+ * @param {Array<Object>} complaints - Complaints
+ * @returns {Array<string>} Barangay names, sorted
+ */
+export function getSearchBarangays(complaints) {
+    const names = {};
+    complaints.forEach(c => {
+        const barangay = String((c.locationDetails || {}).barangay || '').trim();
+        if (barangay && !names[barangay.toLowerCase()]) names[barangay.toLowerCase()] = barangay;
+    });
+    return Object.values(names).sort((a, b) => a.localeCompare(b));
+}
+
+/**
+ * Listen to the current user's saved searches (staff)
+ * @param {Function} callback - Receives the searches array (with id), newest first
+ * @returns {Function} Unsubscribe function
+ */
+export function listenToSavedSearches(callback) {
+    try {
+        const user = auth.currentUser;
+        if (!user) {
+            callback([]);
+            return () => {};
+        }
+
+        const searchesRef = ref(db, `savedSearches/${user.uid}`);
+        onValue(searchesRef, (snapshot) => {
+            const searches = [];
+            snapshot.forEach((childSnapshot) => {
+                searches.push({ id: childSnapshot.key, ...childSnapshot.val() });
+            });
+            searches.sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
+            callback(searches);
+        }, (error) => {
+            console.error("Error listening to saved searches:", error);
+            callback([]);
+        });
+        return () => off(searchesRef);
+    } catch (error) {
+        console.error("Error listening to saved searches:", error);
+        callback([]);
+        return () => {};
+    }
+}
+
+/**
+ * Save the current search under a name (staff)
+ * @param {string} name - Name shown in the saved searches list
+ * @param {Object} search - { text, filters }
+ * @returns {Promise<Object>} Result object with the new search ID
+ */
+export async function saveSearch(name, search) {
+    try {
+        const user = auth.currentUser;
+        if (!user) {
+            return {
+                success: false,
+                error: "You must be logged in to save a search"
+            };
+        }
+
+        const trimmed = String(name || '').trim();
+        if (!trimmed || trimmed.length > MAX_SAVED_SEARCH_NAME_LENGTH) {
+            return {
+                success: false,
+                error: `Please give the search a name of up to ${MAX_SAVED_SEARCH_NAME_LENGTH} characters`
+            };
+        }
+        if (!hasActiveSearch(search)) {
+            return {
+                success: false,
+                error: "Enter search words or pick a filter first"
+            };
+        }
+
+        const filters = {};
+        SEARCH_FILTER_KEYS.forEach(key => {
+            if (search.filters && search.filters[key]) filters[key] = search.filters[key];
+        });
+        const searchRef = await push(ref(db, `savedSearches/${user.uid}`), {
+            name: trimmed,
+            text: String(search.text || '').trim().slice(0, MAX_SEARCH_TEXT_LENGTH),
+            filters: filters,
+            createdAt: Date.now()
+        });
+
+        return {
+            success: true,
+            searchId: searchRef.key
+        };
+    } catch (error) {
+        console.error("Error saving search:", error);
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+}
+
+/**
+ * Delete a saved search (staff)
+ * @param {string} searchId - Saved search ID
+ * @returns {Promise<Object>} Result object
+ */
+export async function deleteSavedSearch(searchId) {
+    try {
+        const user = auth.currentUser;
+        if (!user) {
+            return {
+                success: false,
+                error: "You must be logged in to delete a saved search"
+            };
+        }
+
+        await remove(ref(db, `savedSearches/${user.uid}/${searchId}`));
+        return {
+            success: true
+        };
+    } catch (error) {
+        console.error("Error deleting saved search:", error);
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+}
+
+/**
+ * Start of a local calendar day
+ * @param {string} date - YYYY-MM-DD
+ * @returns {number} Timestamp of 00:00 local time
+ */
+function getDayStart(date) {
+    const [year, month, day] = String(date).split('-').map(Number);
+    return new Date(year, month - 1, day).getTime();
+}
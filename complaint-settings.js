@@ -0,0 +1,254 @@
+// Import Firebase services from config
+import { db } from './firebase-config.js';
+import { commitWithAudit, AUDIT_ACTIONS } from './audit-log.js';
+import { ref, get } from "https://www.gstatic.com/firebasejs/12.5.0/firebase-database.js";
+
+/**
+ * Complaint configuration: complaint types, categories, priorities, statuses and departments
+ * Loaded from settings/{group} so every page and chart uses the same lists.
+ * Each item is { label, description, icon, color, slaHours, enabled, order }; complaints store the item key,
+ * except complaint types, whose label becomes the complaint title.
+ */
+export const SETTING_GROUPS = ['complaintTypes', 'categories', 'priorities', 'statuses', 'departments'];
+
+/**
+ * Defaults used until the settings node has been filled in
+ */
+export const DEFAULT_COMPLAINT_SETTINGS = {
+    complaintTypes: {
+        flooding: { label: 'Flooding', icon: '🌊', order: 1 },
+        garbage_waste_management: { label: 'Garbage/Waste Management', icon: '🗑️', order: 2 },
+        road_damage_potholes: { label: 'Road Damage/Potholes', icon: '🚧', order: 3 },
+        broken_streetlights: { label: 'Broken Streetlights', icon: '💡', order: 4 },
+        water_supply_issue: { label: 'Water Supply Issue', icon: '🚰', order: 5 },
+        drainage_problem: { label: 'Drainage Problem', icon: '🕳️', order: 6 },
+        traffic_issue: { label: 'Traffic Issue', icon: '🚦', order: 7 },
+        safety_concern: { label: 'Safety Concern', icon: '🛡️', order: 8 },
+        noise_complaint: { label: 'Noise Complaint', icon: '🔊', order: 9 },
+        illegal_construction: { label: 'Illegal Construction', icon: '🏗️', order: 10 },
+        vandalism: { label: 'Vandalism', icon: '🖍️', order: 11 },
+        stray_animals: { label: 'Stray Animals', icon: '🐕', order: 12 },
+        fire_hazard: { label: 'Fire Hazard', icon: '🔥', order: 13 },
+        electrical_issue: { label: 'Electrical Issue', icon: '⚡', order: 14 },
+        sewage_problem: { label: 'Sewage Problem', icon: '🚽', order: 15 },
+        public_health_concern: { label: 'Public Health Concern', icon: '🏥', order: 16 },
+        environmental_issue: { label: 'Environmental Issue', icon: '🌳', order: 17 },
+        other: { label: 'Other', icon: '📝', order: 18 }
+    },
+    categories: {
+        Infrastructure: { label: 'Infrastructure', description: 'Roads, Bridges, Buildings', icon: '🏗️', color: '#6366f1', slaHours: 168, order: 1 },
+        Flooding: { label: 'Flooding & Drainage', icon: '🌊', color: '#0ea5e9', slaHours: 48, order: 2 },
+        Sanitation: { label: 'Sanitation & Waste Management', icon: '🗑️', color: '#84cc16', slaHours: 72, order: 3 },
+        Safety: { label: 'Safety & Security', icon: '🛡️', color: '#ef4444', slaHours: 24, order: 4 },
+        Traffic: { label: 'Traffic & Transportation', icon: '🚦', color: '#f59e0b', slaHours: 72, order: 5 },
+        Water: { label: 'Water Supply', icon: '🚰', color: '#06b6d4', slaHours: 48, order: 6 },
+        Electricity: { label: 'Electricity & Power', icon: '⚡', color: '#eab308', slaHours: 48, order: 7 },
+        Environment: { label: 'Environment & Pollution', icon: '🌳', color: '#22c55e', slaHours: 168, order: 8 },
+        Other: { label: 'Other', icon: '📝', color: '#64748b', slaHours: 168, order: 9 }
+    },
+    priorities: {
+        low: { label: 'Low', description: 'Minor issue, not urgent', icon: '🟢', color: '#22c55e', slaHours: 168, order: 1 },
+        medium: { label: 'Medium', description: 'Moderate issue', icon: '🔵', color: '#3b82f6', slaHours: 72, order: 2 },
+        high: { label: 'High', description: 'Serious issue, needs attention', icon: '🟠', color: '#f59e0b', slaHours: 24, order: 3 },
+        urgent: { label: 'Urgent', description: 'Critical issue, immediate action needed', icon: '🔴', color: '#ef4444', slaHours: 4, order: 4 }
+    },
+    statuses: {
+        pending: { label: 'Pending Review', icon: '⏳', color: '#f59e0b', order: 1 },
+        in_progress: { label: 'In Progress', icon: '🔧', color: '#3b82f6', order: 2 },
+        resolved: { label: 'Resolved', icon: '✅', color: '#22c55e', order: 3 },
+        rejected: { label: 'Rejected', icon: '❌', color: '#ef4444', order: 4 }
+    },
+    departments: {
+        engineering: { label: 'City Engineering Office', description: 'Roads, bridges, drainage and public buildings', icon: '🏗️', order: 1 },
+        sanitation: { label: 'Sanitation & Solid Waste Office', description: 'Garbage collection and sanitation', icon: '🗑️', order: 2 },
+        drrm: { label: 'DRRM Office', description: 'Disaster risk reduction, flooding and emergencies', icon: '🚨', order: 3 },
+        traffic: { label: 'Traffic Management Office', description: 'Traffic, signs and road safety', icon: '🚦', order: 4 },
+        health: { label: 'City Health Office', description: 'Public health and stray animals', icon: '🏥', order: 5 },
+        environment: { label: 'Environment & Natural Resources Office', description: 'Pollution, trees and noise', icon: '🌳', order: 6 },
+        general_services: { label: 'General Services Office', description: 'Streetlights, utilities and other concerns', icon: '🛠️', order: 7 }
+    }
+};
+
+const FALLBACK_COLOR = '#64748b';
+
+let cachedSettings = null;
+
+/**
+ * Load the complaint configuration from the settings node
+ * Missing groups fall back to DEFAULT_COMPLAINT_SETTINGS
+ * @param {boolean} forceRefresh - Ignore the cached copy
+ * @returns {Promise<Object>} Settings object keyed by group
+ */
+export async function getComplaintSettings(forceRefresh = false) {
+    if (cachedSettings && !forceRefresh) {
+        return cachedSettings;
+    }
+
+    try {
+        const snapshots = await Promise.all(SETTING_GROUPS.map(group => get(ref(db, `settings/${group}`))));
+        const settings = {};
+        SETTING_GROUPS.forEach((group, i) => {
+            settings[group] = normalizeSettingGroup(group, snapshots[i].exists() ? snapshots[i].val() : null);
+        });
+        cachedSettings = settings;
+        return cachedSettings;
+    } catch (error) {
+        console.warn("Could not load complaint settings, using defaults:", error?.message || error);
+        const settings = {};
+        SETTING_GROUPS.forEach(group => {
+            settings[group] = normalizeSettingGroup(group, null);
+        });
+        return settings;
+    }
+}
+
+/**
+ * Normalize one settings group
+ * Older exports store `true` (categories, priorities) or a plain label (statuses) per key
+ * @param {string} group - Group name (see SETTING_GROUPS)
+ * @param {Object|null} raw - Value of settings/{group}
+ * @returns {Object} Items keyed by their key
+ */
+export function normalizeSettingGroup(group, raw) {
+    const defaults = DEFAULT_COMPLAINT_SETTINGS[group] || {};
+    const source = raw || defaults;
+    const items = {};
+    Object.keys(source).forEach((key, index) => {
+        const value = source[key];
+        const base = defaults[key] || {};
+        let item;
+        if (value === true || value === false) {
+            item = { ...base, enabled: value };
+        } else if (typeof value === 'string') {
+            item = { ...base, label: value };
+        } else {
+            item = { ...base, ...(value || {}) };
+        }
+        items[key] = {
+            ...item,
+            label: item.label || key,
+            enabled: item.enabled !== false,
+            order: Number.isFinite(item.order) ? item.order : index + 1
+        };
+    });
+    return items;
+}
+
+/**
+ * Get the items of a group in display order
+ * @param {Object} settings - Settings object from getComplaintSettings
+ * @param {string} group - Group name
+ * @param {boolean} includeDisabled - Also return disabled items
+ * @returns {Array<Object>} Items with their key
+ */
+export function getSettingOptions(settings, group, includeDisabled = false) {
+    const items = (settings && settings[group]) || {};
+    return Object.keys(items)
+        .map(key => ({ key, ...items[key] }))
+        .filter(item => includeDisabled || item.enabled)
+        .sort((a, b) => (a.order - b.order) || a.label.localeCompare(b.label));
+}
+
+/**
+ * Get the display label of a setting value
+ * Unknown values (e.g. a category that was deleted) are shown as stored
+ * @param {Object} settings - Settings object from getComplaintSettings
+ * @param {string} group - Group name
+ * @param {string} key - Stored value
+ * @returns {string} Label
+ */
+export function getSettingLabel(settings, group, key) {
+    const item = settings && settings[group] && settings[group][key];
+    return item ? item.label : String(key || '').replace('_', ' ');
+}
+
+/**
+ * Get the color of a setting value
+ * @param {Object} settings - Settings object from getComplaintSettings
+ * @param {string} group - Group name
+ * @param {string} key - Stored value
+ * @returns {string} CSS color
+ */
+export function getSettingColor(settings, group, key) {
+    const item = settings && settings[group] && settings[group][key];
+    return (item && item.color) || FALLBACK_COLOR;
+}
+
+/**
+ * Build a database key for a new item from its label
+ * @param {string} label - Item label
+ * @returns {string} Key (lowercase letters, digits and underscores)
+ */
+export function createSettingKey(label) {
+    return String(label || '').trim().toLowerCase()
+        .replace(/[^a-z0-9]+/g, '_')
+        .replace(/^_+|_+$/g, '');
+}
+
+/**
+ * Add or update one item of a group (admin only)
+ * @param {string} group - Group name
+ * @param {string} key - Item key
+ * @param {Object} item - Item fields (label, description, icon, color, slaHours, enabled, order)
+ * @returns {Promise<Object>} Result object
+ */
+export async function saveSettingItem(group, key, item) {
+    try {
+        if (!SETTING_GROUPS.includes(group)) {
+            return {
+                success: false,
+                error: `Unknown settings group "${group}"`
+            };
+        }
+        if (!key || /[.#$[\]/]/.test(key)) {
+            return {
+                success: false,
+                error: "Please enter a valid key"
+            };
+        }
+        if (!item.label || !String(item.label).trim()) {
+            return {
+                success: false,
+                error: "A label is required"
+            };
+        }
+
+        const slaHours = Number(item.slaHours);
+        const value = {
+            label: String(item.label).trim(),
+            description: item.description ? String(item.description).trim() : null,
+            icon: item.icon || null,
+            color: item.color || null,
+            slaHours: Number.isFinite(slaHours) && slaHours > 0 ? slaHours : null,
+            enabled: item.enabled !== false,
+            order: Number.isFinite(Number(item.order)) ? Number(item.order) : 0
+        };
+
+        // The first edit of a group still on the built-in defaults stores the whole group
+        const groupSnap = await get(ref(db, `settings/${group}`));
+        const current = groupSnap.exists() ? groupSnap.val() : normalizeSettingGroup(group, null);
+        const updates = groupSnap.exists()
+            ? { [`settings/${group}/${key}`]: value }
+            : { [`settings/${group}`]: { ...current, [key]: value } };
+
+        await commitWithAudit(updates, {
+            action: AUDIT_ACTIONS.SETTINGS_CHANGED,
+            targetType: 'settings',
+            targetId: `${group}/${key}`,
+            summary: value.label,
+            before: current[key] || null,
+            after: value
+        });
+        cachedSettings = null;
+
+        return {
+            success: true
+        };
+    } catch (error) {
+        console.error("Error saving setting:", error);
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+}
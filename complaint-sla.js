@@ -0,0 +1,299 @@
+// Import Firebase services from config
+import { db, auth } from './firebase-config.js';
+import { getComplaintSettings, getSettingOptions, getSettingLabel } from './complaint-settings.js';
+import { createNotificationEntry, NOTIFICATION_TYPES } from './notifs.js';
+import { getUserAccess, hasPermission, ROLES } from './auth.js';
+import { commitWithAudit, AUDIT_ACTIONS } from './audit-log.js';
+import { getStatusWorkflow } from './complaint-workflow.js';
+import { ref, get, update, query, orderByChild, equalTo, runTransaction } from "https://www.gstatic.com/firebasejs/12.5.0/firebase-database.js";
+
+/**
+ * Service level targets (SLA) for complaints
+ * The target is the stricter of the category and priority `slaHours` from settings;
+ * the resulting deadline is stored on the complaint as `dueAt` (and `slaHours`).
+ * Escalation runs from the admin dashboard: an overdue complaint moves up one priority
+ * and gets a new deadline, and once it is at the top priority the supervisors are notified.
+ * Every open dashboard tries to run it, so a run first takes the lease in system/escalation
+ * ({ runId, runningUntil, lastRunId, lastRunAt }) in a transaction. Only one run holds it at a time,
+ * scheduled runs are skipped until ESCALATION_INTERVAL_MS after the last one, and a run's changes are
+ * written together with the release of its lease, which the rules only accept from the run holding it.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+// Share of the SLA window after which an open complaint counts as at risk (0-1)
+export const SLA_AT_RISK_RATIO = 0.75;
+// Complaints in these statuses are no longer tracked against their deadline
+const CLOSED_STATUSES = ['resolved', 'rejected'];
+// Scheduled escalation runs at most this often, however many dashboards are open
+export const ESCALATION_INTERVAL_MS = 15 * 60 * 1000;
+// A run that has not released its lease after this long is presumed dead, and another one may start
+const ESCALATION_LEASE_MS = 2 * 60 * 1000;
+
+/**
+ * Get the SLA target of a complaint
+ * @param {Object} settings - Settings object from getComplaintSettings
+ * @param {Object} complaint - Complaint (category, priority)
+ * @returns {number|null} Hours allowed to resolve it, or null if neither has a target
+ */
+export function getSlaHours(settings, complaint) {
+    const category = settings && settings.categories && settings.categories[complaint.category];
+    const priority = settings && settings.priorities && settings.priorities[String(complaint.priority || 'medium').toLowerCase()];
+    const targets = [category && category.slaHours, priority && priority.slaHours]
+        .map(Number)
+        .filter(hours => Number.isFinite(hours) && hours > 0);
+    return targets.length ? Math.min(...targets) : null;
+}
+
+/**
+ * Compute the deadline of a complaint
+ * @param {Object} settings - Settings object from getComplaintSettings
+ * @param {Object} complaint - Complaint (category, priority, createdAt)
+ * @param {number} from - Start of the SLA window (defaults to createdAt)
+ * @returns {number|null} Due timestamp, or null if there is no target
+ */
+export function computeDueAt(settings, complaint, from = complaint.createdAt) {
+    const hours = getSlaHours(settings, complaint);
+    return hours && from ? from + hours * HOUR_MS : null;
+}
+
+/**
+ * Get the SLA fields of a new complaint
+ * Only the targets stored in settings count, not the built-in defaults getSlaHours falls back to,
+ * because the database rules check a new complaint's slaHours against the stored ones
+ * @param {Object} complaint - Complaint (category, priority)
+ * @param {number} startedAt - Start of the SLA window
+ * @returns {Promise<Object>} { slaHours, slaStartedAt, dueAt }, all null if neither has a stored target
+ */
+export async function getNewComplaintSla(complaint, startedAt) {
+    const [categorySnap, prioritySnap] = await Promise.all([
+        get(ref(db, `settings/categories/${complaint.category}/slaHours`)),
+        get(ref(db, `settings/priorities/${complaint.priority}/slaHours`))
+    ]);
+    const targets = [categorySnap.val(), prioritySnap.val()]
+        .filter(hours => typeof hours === 'number' && hours > 0);
+    if (!targets.length) {
+        return { slaHours: null, slaStartedAt: null, dueAt: null };
+    }
+    const slaHours = Math.min(...targets);
+    return { slaHours, slaStartedAt: startedAt, dueAt: startedAt + slaHours * HOUR_MS };
+}
+
+/**
+ * Get the deadline of a complaint
+ * Complaints filed before deadlines were stored fall back to a computed one
+ * @param {Object} settings - Settings object from getComplaintSettings
+ * @param {Object} complaint - Complaint
+ * @returns {number|null} Due timestamp
+ */
+export function getDueAt(settings, complaint) {
+    return complaint.dueAt || computeDueAt(settings, complaint);
+}
+
+/**
+ * Work out where a complaint stands against its deadline
+ * @param {Object} settings - Settings object from getComplaintSettings
+ * @param {Object} complaint - Complaint
+ * @param {number} now - Current time
+ * @returns {Object} { state, dueAt } where state is 'none', 'on_track', 'at_risk', 'breached' or 'closed'
+ */
+export function getSlaState(settings, complaint, now = Date.now()) {
+    const dueAt = getDueAt(settings, complaint);
+    if (CLOSED_STATUSES.includes(complaint.status)) return { state: 'closed', dueAt };
+    if (!dueAt) return { state: 'none', dueAt: null };
+    if (now >= dueAt) return { state: 'breached', dueAt };
+
+    const start = complaint.slaStartedAt || complaint.createdAt || now;
+    const span = dueAt - start;
+    if (span > 0 && (now - start) / span >= SLA_AT_RISK_RATIO) return { state: 'at_risk', dueAt };
+    return { state: 'on_track', dueAt };
+}
+
+/**
+ * Describe the time left until (or since) a deadline
+ * @param {number} dueAt - Due timestamp
+ * @param {number} now - Current time
+ * @returns {string} e.g. "Due in 5h", "Overdue by 2d"
+ */
+export function formatSlaRemaining(dueAt, now = Date.now()) {
+    const diff = Math.abs(dueAt - now);
+    const amount = diff >= 24 * HOUR_MS ? `${Math.floor(diff / (24 * HOUR_MS))}d` : `${Math.max(1, Math.floor(diff / HOUR_MS))}h`;
+    return dueAt >= now ? `Due in ${amount}` : `Overdue by ${amount}`;
+}
+
+/**
+ * Escalate every open complaint whose deadline has passed (admins and supervisors)
+ * An overdue complaint moves up one priority and gets the deadline of its new priority;
+ * at the top priority the supervisors (or every admin if there is no supervisor yet)
+ * are notified once per missed deadline. Linked duplicates follow their parent and are skipped.
+ * Only open complaints are read (one query per open status), and the admins and supervisors by role.
+ * @param {number} now - Current time (lets the routine be replayed against the emulator)
+ * @param {Object} options - { force: run even if the last run was less than ESCALATION_INTERVAL_MS ago }
+ * @returns {Promise<Object>} Result object with escalated and notified counts, or skipped when another run had the lease
+ */
+export async function runEscalation(now = Date.now(), options = {}) {
+    let runId = null;
+    try {
+        const user = auth.currentUser;
+        if (!user) {
+            return {
+                success: false,
+                error: "You must be logged in to run escalation"
+            };
+        }
+        if (!hasPermission(await getUserAccess(), 'escalate')) {
+            return {
+                success: false,
+                error: "Only supervisors can run escalation"
+            };
+        }
+
+        runId = await acquireEscalationLease(!!options.force);
+        if (!runId) {
+            return {
+                success: !options.force,
+                skipped: true,
+                error: options.force ? "Escalation is already running in another window" : null,
+                message: "Escalation ran recently"
+            };
+        }
+
+        const settings = await getComplaintSettings(true);
+        const priorities = getSettingOptions(settings, 'priorities').map(p => p.key);
+        const workflow = await getStatusWorkflow(true);
+        const openStatuses = Object.keys(workflow.statuses || {}).filter(status => !CLOSED_STATUSES.includes(status));
+        const complaintsRef = ref(db, 'complaints');
+        const usersRef = ref(db, 'users');
+        const [complaintSnaps, userSnaps] = await Promise.all([
+            Promise.all(openStatuses.map(status => get(query(complaintsRef, orderByChild('status'), equalTo(status))))),
+            Promise.all([ROLES.ADMIN, ROLES.SUPERVISOR].map(role => get(query(usersRef, orderByChild('role'), equalTo(role)))))
+        ]);
+
+        const admins = [];
+        userSnaps.forEach(snapshot => snapshot.forEach((childSnapshot) => {
+            const data = childSnapshot.val() || {};
+            admins.push({ id: childSnapshot.key, role: data.role });
+        }));
+        const supervisors = admins.some(a => a.role === ROLES.SUPERVISOR) ? admins.filter(a => a.role === ROLES.SUPERVISOR) : admins;
+
+        const updates = {};
+        let escalated = 0;
+        let notified = 0;
+        const escalatedIds = [];
+        const notifiedIds = [];
+
+        complaintSnaps.forEach(snapshot => snapshot.forEach((childSnapshot) => {
+            const id = childSnapshot.key;
+            const complaint = childSnapshot.val() || {};
+            if (complaint.mergedInto) return;
+            const { state, dueAt } = getSlaState(settings, complaint, now);
+            if (state !== 'breached') return;
+
+            const escalation = complaint.escalation || {};
+            const priority = String(complaint.priority || 'medium').toLowerCase();
+            const nextPriority = priorities[priorities.indexOf(priority) + 1];
+
+            if (nextPriority && priorities.includes(priority)) {
+                const raised = { ...complaint, priority: nextPriority };
+                const hours = getSlaHours(settings, raised);
+                updates[`complaints/${id}/priority`] = nextPriority;
+                updates[`complaints/${id}/slaHours`] = hours;
+                updates[`complaints/${id}/slaStartedAt`] = now;
+                updates[`complaints/${id}/dueAt`] = hours ? now + hours * HOUR_MS : null;
+                updates[`complaints/${id}/escalation`] = {
+                    level: (escalation.level || 0) + 1,
+                    lastEscalatedAt: now,
+                    fromPriority: priority,
+                    missedDueAt: dueAt,
+                    notifiedAt: escalation.notifiedAt || null
+                };
+                updates[`complaints/${id}/updatedAt`] = now;
+
+                if (complaint.assignedTo && complaint.assignedTo.userId) {
+                    const notification = createNotificationEntry(complaint.assignedTo.userId, {
+                        type: NOTIFICATION_TYPES.ESCALATED,
+                        title: 'Complaint Escalated',
+                        message: `"${complaint.title || 'Untitled'}" missed its deadline and is now ${getSettingLabel(settings, 'priorities', nextPriority)} priority.`,
+                        relatedComplaintId: id
+                    });
+                    updates[notification.path] = notification.value;
+                }
+                escalated++;
+                escalatedIds.push(id);
+                return;
+            }
+
+            // Already at the top priority: tell the supervisors once per missed deadline
+            if (escalation.notifiedAt && escalation.notifiedAt >= dueAt) return;
+            updates[`complaints/${id}/escalation`] = {
+                level: (escalation.level || 0) + 1,
+                lastEscalatedAt: now,
+                fromPriority: escalation.fromPriority || null,
+                missedDueAt: dueAt,
+                notifiedAt: now
+            };
+            supervisors.forEach(supervisor => {
+                const notification = createNotificationEntry(supervisor.id, {
+                    type: NOTIFICATION_TYPES.ESCALATED,
+                    title: 'Overdue Complaint',
+                    message: `"${complaint.title || 'Untitled'}" is ${getSettingLabel(settings, 'priorities', priority)} priority and passed its deadline on ${new Date(dueAt).toLocaleString()}.`,
+                    relatedComplaintId: id
+                });
+                updates[notification.path] = notification.value;
+            });
+            notified++;
+            notifiedIds.push(id);
+        }));
+
+        // Releasing the lease in the same update makes the changes fail if another run took it over meanwhile
+        updates['system/escalation'] = { lastRunId: runId, lastRunAt: Date.now() };
+        if (escalated || notified) {
+            await commitWithAudit(updates, {
+                action: AUDIT_ACTIONS.ESCALATED,
+                targetType: 'complaint',
+                summary: `${escalated} escalated, ${notified} reported to supervisors`,
+                after: { escalated: escalatedIds, reportedToSupervisors: notifiedIds }
+            });
+        } else {
+            await update(ref(db), updates);
+        }
+
+        return {
+            success: true,
+            escalated,
+            notified,
+            message: `${escalated} complaint(s) escalated, ${notified} reported to supervisors`
+        };
+    } catch (error) {
+        console.error("Error running escalation:", error);
+        if (runId) {
+            update(ref(db), { 'system/escalation': { lastRunId: runId, lastRunAt: Date.now() } })
+                .catch(releaseError => console.error("Error releasing escalation lease:", releaseError));
+        }
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+}
+
+/**
+ * Take the escalation lease
+ * @param {boolean} force - Also take it when the last run was less than ESCALATION_INTERVAL_MS ago
+ * @returns {Promise<string|null>} ID of this run, or null if another run holds the lease or ran recently
+ */
+async function acquireEscalationLease(force) {
+    const runId = `${auth.currentUser.uid}-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    const result = await runTransaction(ref(db, 'system/escalation'), (current) => {
+        const state = current || {};
+        const time = Date.now();
+        if (state.runId && state.runningUntil > time) return;
+        if (!force && state.lastRunAt && time - state.lastRunAt < ESCALATION_INTERVAL_MS) return;
+        return {
+            runId: runId,
+            runningUntil: time + ESCALATION_LEASE_MS,
+            lastRunId: state.lastRunId || null,
+            lastRunAt: state.lastRunAt || null
+        };
+    });
+    return result.committed && result.snapshot.child('runId').val() === runId ? runId : null;
+}
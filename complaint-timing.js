@@ -0,0 +1,261 @@
+// Import Firebase services from config
+import { db } from './firebase-config.js';
+import { getUserAccess, hasPermission } from './auth.js';
+import { getComplaintHistory } from './complaint-history.js';
+import { ref, get, update } from "https://www.gstatic.com/firebasejs/12.5.0/firebase-database.js";
+
+/**
+ * Transition timestamps
+ * Complaints record when staff first responded and when they last entered each working status:
+ * { firstResponseAt, inProgressAt, resolvedAt, rejectedAt }.
+ * firstResponseAt is set once, by the first status change or public staff reply; the status timestamps are
+ * overwritten when a reopened complaint enters the status again. Analytics measure from createdAt to these
+ * instead of updatedAt, which also moves on votes, assignments and messages.
+ */
+
+// Status key → field holding the last time the complaint entered it (older data uses 'in-progress')
+export const TRANSITION_TIMESTAMP_FIELDS = {
+    in_progress: 'inProgressAt',
+    'in-progress': 'inProgressAt',
+    resolved: 'resolvedAt',
+    rejected: 'rejectedAt'
+};
+// Complaints written per update while backfilling
+const BACKFILL_BATCH_SIZE = 50;
+
+/**
+ * Add the timestamps of a status change to a multi-path update
+ * @param {Object} updates - Multi-path update object (modified in place)
+ * @param {string} complaintId - Complaint ID
+ * @param {Object} complaint - Complaint before the change
+ * @param {string} toStatus - New status
+ * @param {number} time - Time of the change
+ */
+export function addTransitionTimestamps(updates, complaintId, complaint, toStatus, time = Date.now()) {
+    const field = TRANSITION_TIMESTAMP_FIELDS[toStatus];
+    if (field) {
+        updates[`complaints/${complaintId}/${field}`] = time;
+    }
+    addFirstResponse(updates, complaintId, complaint, time);
+}
+
+/**
+ * Add the first staff response to a multi-path update, unless the complaint already has one
+ * @param {Object} updates - Multi-path update object (modified in place)
+ * @param {string} complaintId - Complaint ID
+ * @param {Object} complaint - Complaint before the response
+ * @param {number} time - Time of the response
+ */
+export function addFirstResponse(updates, complaintId, complaint, time = Date.now()) {
+    if (complaint && complaint.firstResponseAt) return;
+    updates[`complaints/${complaintId}/firstResponseAt`] = time;
+}
+
+/**
+ * Time from filing to the first staff response
+ * @param {Object} complaint - Complaint
+ * @returns {number|null} Milliseconds, or null if nobody responded yet
+ */
+export function getTimeToFirstResponse(complaint) {
+    if (!complaint.createdAt || !complaint.firstResponseAt || complaint.firstResponseAt < complaint.createdAt) return null;
+    return complaint.firstResponseAt - complaint.createdAt;
+}
+
+/**
+ * Time from filing to resolution
+ * @param {Object} complaint - Complaint
+ * @returns {number|null} Milliseconds, or null unless the complaint is resolved
+ */
+export function getTimeToResolution(complaint) {
+    if (complaint.status !== 'resolved' || !complaint.createdAt || !complaint.resolvedAt || complaint.resolvedAt < complaint.createdAt) return null;
+    return complaint.resolvedAt - complaint.createdAt;
+}
+
+/**
+ * Percentile of sorted values, interpolating between neighbours
+ * @param {Array<number>} sorted - Values in ascending order
+ * @param {number} p - Percentile (0-100)
+ * @returns {number|null} Value, or null for an empty list
+ */
+export function getPercentile(sorted, p) {
+    if (!sorted.length) return null;
+    const position = (sorted.length - 1) * p / 100;
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+/**
+ * Summarize durations
+ * @param {Array<number|null>} durations - Durations in milliseconds (nulls are skipped)
+ * @returns {Object} { count, p50, p75, p90, average }, times null when there are no durations
+ */
+export function summarizeDurations(durations) {
+    const sorted = durations.filter(value => value !== null && value !== undefined).sort((a, b) => a - b);
+    return {
+        count: sorted.length,
+        p50: getPercentile(sorted, 50),
+        p75: getPercentile(sorted, 75),
+        p90: getPercentile(sorted, 90),
+        average: sorted.length ? sorted.reduce((a, b) => a + b, 0) / sorted.length : null
+    };
+}
+
+/**
+ * Response and resolution times per group of complaints
+ * @param {Array<Object>} complaints - Complaints
+ * @param {Function} getKey - Returns the group key of a complaint
+ * @returns {Array<Object>} [{ key, count, resolved, firstResponse, resolution }] (summaries as in summarizeDurations), largest group first
+ */
+export function getTimingBreakdown(complaints, getKey) {
+    const groups = {};
+    complaints.forEach(c => {
+        const key = getKey(c);
+        if (!groups[key]) groups[key] = [];
+        groups[key].push(c);
+    });
+
+    return Object.keys(groups).map(key => ({
+        key: key,
+        count: groups[key].length,
+        resolved: groups[key].filter(c => c.status === 'resolved').length,
+        firstResponse: summarizeDurations(groups[key].map(getTimeToFirstResponse)),
+        resolution: summarizeDurations(groups[key].map(getTimeToResolution))
+    })).sort((a, b) => b.count - a.count);
+}
+
+/**
+ * Start of the week (Monday, 00:00 local time) containing a time
+ * @param {number} time - Timestamp
+ * @returns {number} Timestamp of the week start
+ */
+export function getWeekStart(time) {
+    const date = new Date(time);
+    date.setHours(0, 0, 0, 0);
+    date.setDate(date.getDate() - (date.getDay() + 6) % 7);
+    return date.getTime();
+}
+
+/**
+ * Weekly figures for week-over-week comparison
+ * Each complaint counts in the week it was filed, first responded to and resolved, so a week's times
+ * describe the work finished that week.
+ * @param {Array<Object>} complaints - Complaints
+ * @param {number} weeks - Number of weeks, ending with the current one
+ * @param {number} now - Current time
+ * @returns {Array<Object>} [{ start, end, filed, responded, resolved, firstResponse, resolution }], oldest first
+ */
+export function getWeeklyComparison(complaints, weeks = 8, now = Date.now()) {
+    const current = getWeekStart(now);
+    const rows = [];
+    for (let i = weeks - 1; i >= 0; i--) {
+        // Day arithmetic keeps week starts on midnight across daylight saving changes
+        const startDate = new Date(current);
+        startDate.setDate(startDate.getDate() - i * 7);
+        const endDate = new Date(startDate);
+        endDate.setDate(endDate.getDate() + 7);
+        const start = startDate.getTime();
+        const end = endDate.getTime();
+        const inWeek = (time) => time >= start && time < end;
+
+        const responded = complaints.filter(c => inWeek(c.firstResponseAt));
+        const resolved = complaints.filter(c => c.status === 'resolved' && inWeek(c.resolvedAt));
+        rows.push({
+            start: start,
+            end: end,
+            filed: complaints.filter(c => inWeek(c.createdAt)).length,
+            responded: responded.length,
+            resolved: resolved.length,
+            firstResponse: summarizeDurations(responded.map(getTimeToFirstResponse)),
+            resolution: summarizeDurations(resolved.map(getTimeToResolution))
+        });
+    }
+    return rows;
+}
+
+/**
+ * Check whether a complaint is missing timestamps its status implies (filed before they were recorded)
+ * @param {Object} complaint - Complaint
+ * @returns {boolean} True if a backfill could fill something in
+ */
+export function needsTimestampBackfill(complaint) {
+    const status = complaint.status || 'pending';
+    const field = TRANSITION_TIMESTAMP_FIELDS[status];
+    return (status !== 'pending' && !complaint.firstResponseAt) || (!!field && !complaint[field]);
+}
+
+/**
+ * Fill in transition timestamps of older complaints from their status history and staff replies (admins and supervisors)
+ * @param {Array<Object>} complaints - Complaints (with id)
+ * @returns {Promise<Object>} Result object with the number of complaints updated
+ */
+export async function backfillTransitionTimestamps(complaints) {
+    try {
+        if (!hasPermission(await getUserAccess(), 'viewAll')) {
+            return {
+                success: false,
+                error: "Only supervisors can backfill complaint timings"
+            };
+        }
+
+        let updated = 0;
+        const pending = complaints.filter(needsTimestampBackfill);
+        for (let i = 0; i < pending.length; i += BACKFILL_BATCH_SIZE) {
+            const batch = pending.slice(i, i + BACKFILL_BATCH_SIZE);
+            const updates = {};
+            await Promise.all(batch.map(async (complaint) => {
+                const found = await getTimestampsFromHistory(complaint.id);
+                let changed = false;
+                Object.keys(found).forEach(field => {
+                    if (complaint[field]) return;
+                    updates[`complaints/${complaint.id}/${field}`] = found[field];
+                    changed = true;
+                });
+                if (changed) updated++;
+            }));
+            if (Object.keys(updates).length) {
+                await update(ref(db), updates);
+            }
+        }
+
+        return {
+            success: true,
+            updated: updated,
+            message: updated ? `Timings filled in for ${updated} complaint(s)` : "No recorded history to fill in from"
+        };
+    } catch (error) {
+        console.error("Error backfilling complaint timings:", error);
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+}
+
+/**
+ * Work out the transition timestamps of a complaint from its history and public staff replies
+ * @param {string} complaintId - Complaint ID
+ * @returns {Promise<Object>} Timestamps found, keyed by field
+ */
+async function getTimestampsFromHistory(complaintId) {
+    const [history, messagesSnap] = await Promise.all([
+        getComplaintHistory(complaintId),
+        get(ref(db, `complaintMessages/${complaintId}`))
+    ]);
+
+    const found = {};
+    // Entries are oldest first, so later entries of the same status win
+    history.data.forEach(entry => {
+        const field = TRANSITION_TIMESTAMP_FIELDS[entry.toStatus];
+        if (field && entry.createdAt) found[field] = entry.createdAt;
+    });
+
+    const responses = history.data.map(entry => entry.createdAt);
+    messagesSnap.forEach((childSnapshot) => {
+        const message = childSnapshot.val() || {};
+        if (message.authorRole === 'admin') responses.push(message.createdAt);
+    });
+    const first = Math.min(...responses.filter(Boolean));
+    if (Number.isFinite(first)) found.firstResponseAt = first;
+    return found;
+}
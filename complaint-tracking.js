@@ -0,0 +1,438 @@
+// Import Firebase services from config
+import { db } from './firebase-config.js';
+import { getComplaintArea, getComplaintCoordinates } from './complaint-location.js';
+import { ref, get, update, query, orderByChild, orderByKey, equalTo, startAt, startAfter, limitToFirst, limitToLast, runTransaction } from "https://www.gstatic.com/firebasejs/12.5.0/firebase-database.js";
+
+/**
+ * Reference numbers and public tracking
+ * Every complaint gets a reference number (IRP-{year}-{sequence}) from counters/complaintReferences/{year}
+ * and a tracking code, the reference number with a random suffix (IRP-2026-000123-K7QM2XPA), since
+ * sequential numbers are easy to guess. Anyone with the tracking code can read publicTracking/{trackingCode}
+ * ({ complaintId, title, category, status, area, coordinates, handledBy, createdAt, updatedAt,
+ *    timeline/{historyEntryId}: { fromStatus, toStatus, note, proofURL, createdAt },
+ *    replies/{messageId}: { text, imageURL, createdAt } }),
+ * a copy of the complaint without the reporter's identity that is kept in sync by the same
+ * multi-path updates that change the complaint. Only staff replies are copied, and the pin is
+ * rounded to about 100 meters. The node itself cannot be listed, and the rules check every timeline
+ * entry and reply against complaintHistory and complaintMessages, so the reporter cannot add their own.
+ * Complaints filed before tracking codes keep their copy under the reference number, where nobody but
+ * admins can read it, until moveTrackingRecords gives them a code.
+ * The same updates keep publicComplaints/{referenceNumber} ({ complaintId, title, category, status, barangay,
+ * city, coordinates, createdAt, openCell, openArea, openAt, voteCount }), a summary signed-in residents can
+ * query to compare a new report with the open ones around it or to find open complaints to vote on.
+ * openCell (the grid cell of the rounded pin), openArea (the barangay and city) and openAt (createdAt) are
+ * only set while the complaint is open and not linked to another one, so the rules only allow queries on
+ * them (equalTo, or the newest by openAt) and closed complaints never show up. voteCount is written by
+ * complaint-votes.js and can be read by anyone with the reference number.
+ */
+
+export const REFERENCE_PREFIX = 'IRP';
+const REFERENCE_PATTERN = /^IRP-(\d{4})-(\d{1,})$/;
+const SEQUENCE_DIGITS = 6;
+// Characters of the tracking code suffix (no 0/O or 1/I, which are easily mixed up)
+const TRACKING_CODE_CHARACTERS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const TRACKING_CODE_SUFFIX_LENGTH = 8;
+// Legacy public copies moved to their tracking code per update
+const MOVE_BATCH_SIZE = 25;
+// Decimal places kept of the pin (3 ≈ 110 meters)
+const PUBLIC_COORDINATE_DECIMALS = 3;
+// Side of the grid cells open complaints are listed under, in degrees (0.03 ≈ 3.3 km)
+export const PUBLIC_CELL_DEGREES = 0.03;
+// Complaints in these statuses leave the open summaries
+const CLOSED_STATUSES = ['resolved', 'rejected'];
+// Summaries written per update when publishing older complaints
+const PUBLISH_BATCH_SIZE = 50;
+// Most summaries the rules let one query of the newest open complaints return
+export const NEWEST_SUMMARIES_LIMIT = 50;
+
+/**
+ * Format a reference number
+ * @param {number} year - Year the complaint was filed
+ * @param {number} sequence - Sequence number within the year
+ * @returns {string} e.g. "IRP-2026-000123"
+ */
+export function formatReferenceNumber(year, sequence) {
+    return `${REFERENCE_PREFIX}-${year}-${String(sequence).padStart(SEQUENCE_DIGITS, '0')}`;
+}
+
+/**
+ * Clean up a reference number typed by a person
+ * Accepts lowercase, spaces and a shortened sequence ("irp 2026 123")
+ * @param {string} input - Reference number as typed
+ * @returns {string|null} Reference number in its stored form, or null if it is not one
+ */
+export function normalizeReferenceNumber(input) {
+    const cleaned = String(input || '').trim().toUpperCase().replace(/[\s_]+/g, '-').replace(/-+/g, '-');
+    const match = cleaned.match(REFERENCE_PATTERN);
+    if (!match || !Number(match[2])) return null;
+    return formatReferenceNumber(match[1], Number(match[2]));
+}
+
+/**
+ * Create the tracking code of a complaint
+ * @param {string} referenceNumber - Reference number of the complaint
+ * @returns {string} e.g. "IRP-2026-000123-K7QM2XPA"
+ */
+export function createTrackingCode(referenceNumber) {
+    const bytes = crypto.getRandomValues(new Uint8Array(TRACKING_CODE_SUFFIX_LENGTH));
+    const suffix = Array.from(bytes, byte => TRACKING_CODE_CHARACTERS[byte % TRACKING_CODE_CHARACTERS.length]).join('');
+    return `${referenceNumber}-${suffix}`;
+}
+
+/**
+ * Clean up a tracking code typed by a person
+ * Accepts the same variations as normalizeReferenceNumber
+ * @param {string} input - Tracking code as typed
+ * @returns {Object|null} { trackingCode, referenceNumber } in their stored form, or null if it is not a tracking code
+ */
+export function normalizeTrackingCode(input) {
+    const cleaned = String(input || '').trim().toUpperCase().replace(/[\s_]+/g, '-').replace(/-+/g, '-');
+    const match = cleaned.match(/^(.+)-([A-Z0-9]+)$/);
+    if (!match || match[2].length !== TRACKING_CODE_SUFFIX_LENGTH) return null;
+    if ([...match[2]].some(character => !TRACKING_CODE_CHARACTERS.includes(character))) return null;
+    const referenceNumber = normalizeReferenceNumber(match[1]);
+    return referenceNumber ? { trackingCode: `${referenceNumber}-${match[2]}`, referenceNumber } : null;
+}
+
+/**
+ * Allocate the next reference number
+ * The per-year counter is incremented in a transaction, so two submissions never get the same number
+ * @param {number} createdAt - Submission time of the complaint
+ * @returns {Promise<string>} Reference number
+ */
+export async function allocateReferenceNumber(createdAt = Date.now()) {
+    const year = new Date(createdAt).getFullYear();
+    const result = await runTransaction(ref(db, `counters/complaintReferences/${year}`), (current) => (current || 0) + 1);
+    if (!result.committed) {
+        throw new Error("Could not allocate a reference number");
+    }
+    return formatReferenceNumber(year, result.snapshot.val());
+}
+
+/**
+ * Add the public copy of a new complaint to a multi-path update
+ * Fields are written one by one so a retried submission keeps the timeline and replies
+ * @param {Object} updates - Multi-path update object (modified in place)
+ * @param {string} complaintId - Complaint ID
+ * @param {Object} complaint - Complaint, with referenceNumber and trackingCode
+ */
+export function addTrackingRecord(updates, complaintId, complaint) {
+    if (!complaint.referenceNumber || !complaint.trackingCode) return;
+    const base = `publicTracking/${complaint.trackingCode}`;
+    const details = complaint.locationDetails || {};
+    updates[`${base}/complaintId`] = complaintId;
+    updates[`${base}/title`] = complaint.title;
+    updates[`${base}/category`] = complaint.category;
+    updates[`${base}/status`] = complaint.status;
+    updates[`${base}/area`] = [details.barangay, details.city].filter(Boolean).join(', ') || null;
+    updates[`${base}/coordinates`] = getPublicCoordinates(complaint);
+    updates[`${base}/createdAt`] = complaint.createdAt;
+    updates[`${base}/updatedAt`] = complaint.updatedAt || complaint.createdAt;
+    addPublicSummary(updates, complaintId, complaint);
+}
+
+/**
+ * Add the public summary of a complaint to a multi-path update
+ * Fields are written one by one, so the update also creates the summaries of complaints filed before them
+ * @param {Object} updates - Multi-path update object (modified in place)
+ * @param {string} complaintId - Complaint ID
+ * @param {Object} complaint - Complaint as it will be after the update, with referenceNumber
+ */
+export function addPublicSummary(updates, complaintId, complaint) {
+    if (!complaint.referenceNumber) return;
+    const base = `publicComplaints/${complaint.referenceNumber}`;
+    const details = complaint.locationDetails || {};
+    const coordinates = getPublicCoordinates(complaint);
+    const open = !complaint.mergedInto && !CLOSED_STATUSES.includes(complaint.status || 'pending');
+    updates[`${base}/complaintId`] = complaintId;
+    updates[`${base}/title`] = complaint.title;
+    updates[`${base}/category`] = complaint.category;
+    updates[`${base}/status`] = complaint.status || 'pending';
+    updates[`${base}/barangay`] = details.barangay || null;
+    updates[`${base}/city`] = details.city || null;
+    updates[`${base}/coordinates`] = coordinates;
+    updates[`${base}/createdAt`] = complaint.createdAt;
+    updates[`${base}/openCell`] = open && coordinates ? getPublicCell(coordinates) : null;
+    updates[`${base}/openArea`] = open ? getPublicAreaKey(complaint) : null;
+    updates[`${base}/openAt`] = open ? complaint.createdAt : null;
+}
+
+/**
+ * Publish the summaries of complaints filed before summaries existed (staff who can work on them)
+ * Rewriting a summary changes nothing, so complaints that already have one can be passed too.
+ * Their vote counts are copied as well, since status changes leave the count to complaint-votes.js.
+ * @param {Array<Object>} complaints - Complaints (with id)
+ * @returns {Promise<Object>} Result object with the number of summaries written
+ */
+export async function publishPublicSummaries(complaints) {
+    try {
+        const published = complaints.filter(c => c.referenceNumber);
+        for (let i = 0; i < published.length; i += PUBLISH_BATCH_SIZE) {
+            const updates = {};
+            published.slice(i, i + PUBLISH_BATCH_SIZE).forEach(c => {
+                addPublicSummary(updates, c.id, c);
+                if (c.voteCount) updates[`publicComplaints/${c.referenceNumber}/voteCount`] = c.voteCount;
+            });
+            await update(ref(db), updates);
+        }
+        return {
+            success: true,
+            published: published.length
+        };
+    } catch (error) {
+        console.error("Error publishing complaint summaries:", error);
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+}
+
+/**
+ * Get the summaries of the open complaints around a place
+ * @param {Object} place - { coordinates } for the cells around a pin and/or { areaKey } from getPublicAreaKey
+ * @returns {Promise<Array<Object>>} Summaries (with referenceNumber), each once
+ */
+export async function getOpenSummaries(place) {
+    const summariesRef = ref(db, 'publicComplaints');
+    const queries = [
+        ...(place.coordinates ? getNearbyCells(place.coordinates).map(cell => query(summariesRef, orderByChild('openCell'), equalTo(cell))) : []),
+        ...(place.areaKey ? [query(summariesRef, orderByChild('openArea'), equalTo(place.areaKey))] : [])
+    ];
+    const snapshots = await Promise.all(queries.map(summaryQuery => get(summaryQuery)));
+    const summaries = {};
+    snapshots.forEach(snapshot => snapshot.forEach((childSnapshot) => {
+        summaries[childSnapshot.key] = { referenceNumber: childSnapshot.key, ...childSnapshot.val() };
+    }));
+    return Object.values(summaries);
+}
+
+/**
+ * Get the summaries of the newest open complaints
+ * @param {number} limit - Number of summaries (at most NEWEST_SUMMARIES_LIMIT)
+ * @returns {Promise<Array<Object>>} Summaries (with referenceNumber), newest first
+ */
+export async function getNewestOpenSummaries(limit = NEWEST_SUMMARIES_LIMIT) {
+    const snapshot = await get(query(ref(db, 'publicComplaints'), orderByChild('openAt'), startAt(0), limitToLast(Math.min(limit, NEWEST_SUMMARIES_LIMIT))));
+    const summaries = [];
+    snapshot.forEach((childSnapshot) => {
+        summaries.push({ referenceNumber: childSnapshot.key, ...childSnapshot.val() });
+    });
+    return summaries.reverse();
+}
+
+/**
+ * Get the grid cell a point falls in
+ * @param {Object} coordinates - { latitude, longitude }
+ * @returns {string} e.g. "486_4033"
+ */
+export function getPublicCell(coordinates) {
+    return `${Math.floor(coordinates.latitude / PUBLIC_CELL_DEGREES)}_${Math.floor(coordinates.longitude / PUBLIC_CELL_DEGREES)}`;
+}
+
+/**
+ * Get the cell of a point and the eight around it, which together cover at least one cell side in every direction
+ * @param {Object} coordinates - { latitude, longitude }
+ * @returns {Array<string>} Cell keys
+ */
+export function getNearbyCells(coordinates) {
+    const row = Math.floor(coordinates.latitude / PUBLIC_CELL_DEGREES);
+    const column = Math.floor(coordinates.longitude / PUBLIC_CELL_DEGREES);
+    const cells = [];
+    for (let dRow = -1; dRow <= 1; dRow++) {
+        for (let dColumn = -1; dColumn <= 1; dColumn++) {
+            cells.push(`${row + dRow}_${column + dColumn}`);
+        }
+    }
+    return cells;
+}
+
+/**
+ * Get the key open complaints in the same place share
+ * @param {Object} complaint - Complaint (locationDetails or location)
+ * @returns {string|null} Lowercase "barangay|city", or the first part of the location; null if there is none
+ */
+export function getPublicAreaKey(complaint) {
+    const details = complaint.locationDetails || {};
+    const normalize = (value) => String(value || '').trim().toLowerCase();
+    if (details.barangay) return `${normalize(details.barangay)}|${normalize(details.city)}`;
+    return normalize(getComplaintArea(complaint)).slice(0, 200) || null;
+}
+
+/**
+ * Add a change of a complaint to its public copy and summary in a multi-path update
+ * Complaints filed before reference numbers existed have no public copy and are left alone.
+ * @param {Object} updates - Multi-path update object (modified in place)
+ * @param {string} complaintId - Complaint ID
+ * @param {Object} complaint - Complaint before the change (referenceNumber, and trackingCode unless it predates them)
+ * @param {Object} change - Any of { status, mergedInto, historyEntry ({ path, value } from createHistoryEntry),
+ *                          reply ({ id, text, imageURL, createdAt }), handledBy, deleted }
+ */
+export function addTrackingUpdate(updates, complaintId, complaint, change) {
+    if (!complaint || !complaint.referenceNumber) return;
+    const base = `publicTracking/${complaint.trackingCode || complaint.referenceNumber}`;
+    if (change.deleted) {
+        updates[base] = null;
+        updates[`publicComplaints/${complaint.referenceNumber}`] = null;
+        return;
+    }
+
+    const now = Date.now();
+    if (change.status) {
+        updates[`${base}/status`] = change.status;
+        addPublicSummary(updates, complaintId, {
+            ...complaint,
+            status: change.status,
+            mergedInto: change.mergedInto || complaint.mergedInto || null
+        });
+    }
+    if (change.historyEntry) {
+        const entry = change.historyEntry.value;
+        updates[`${base}/timeline/${change.historyEntry.path.split('/').pop()}`] = {
+            fromStatus: entry.fromStatus || null,
+            toStatus: entry.toStatus,
+            note: entry.note || null,
+            proofURL: entry.proofURL || null,
+            createdAt: entry.createdAt
+        };
+    }
+    if (change.reply) {
+        updates[`${base}/replies/${change.reply.id}`] = {
+            text: change.reply.text || null,
+            imageURL: change.reply.imageURL || null,
+            createdAt: change.reply.createdAt
+        };
+    }
+    if (change.handledBy !== undefined) {
+        updates[`${base}/handledBy`] = change.handledBy || null;
+    }
+    updates[`${base}/updatedAt`] = now;
+}
+
+/**
+ * Look up a complaint by its tracking code (no sign-in needed)
+ * @param {string} trackingCode - Tracking code as typed
+ * @returns {Promise<Object>} Result object with data ({ referenceNumber, trackingCode, ..., timeline, replies }, oldest first)
+ */
+export async function getTrackingRecord(trackingCode) {
+    try {
+        const normalized = normalizeTrackingCode(trackingCode);
+        if (!normalized) {
+            return {
+                success: false,
+                error: normalizeReferenceNumber(trackingCode)
+                    ? "Enter the full tracking code shown on your dashboard, e.g. IRP-2026-000123-K7QM2XPA"
+                    : "Tracking codes look like IRP-2026-000123-K7QM2XPA"
+            };
+        }
+
+        const [snapshot, voteSnap] = await Promise.all([
+            get(ref(db, `publicTracking/${normalized.trackingCode}`)),
+            get(ref(db, `publicComplaints/${normalized.referenceNumber}/voteCount`))
+        ]);
+        if (!snapshot.exists()) {
+            return {
+                success: false,
+                error: `No complaint found for ${normalized.trackingCode}`
+            };
+        }
+
+        const record = snapshot.val();
+        const toList = (entries) => Object.keys(entries || {})
+            .map(id => ({ id, ...entries[id] }))
+            .sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0));
+        return {
+            success: true,
+            data: {
+                ...record,
+                referenceNumber: normalized.referenceNumber,
+                trackingCode: normalized.trackingCode,
+                voteCount: voteSnap.val() || 0,
+                timeline: toList(record.timeline),
+                replies: toList(record.replies)
+            }
+        };
+    } catch (error) {
+        console.error("Error looking up complaint:", error);
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+}
+
+/**
+ * Give complaints filed before tracking codes a code and move their public copy to it (admins only)
+ * The copies are read a batch at a time by key; once all of them are moved, system/trackingCodesMovedAt is set
+ * and later calls return straight away.
+ * @returns {Promise<Object>} Result object with the number of copies moved
+ */
+export async function moveTrackingRecords() {
+    try {
+        const doneSnap = await get(ref(db, 'system/trackingCodesMovedAt'));
+        if (doneSnap.exists()) {
+            return {
+                success: true,
+                moved: 0
+            };
+        }
+
+        const trackingRef = ref(db, 'publicTracking');
+        let moved = 0;
+        let lastKey = null;
+        for (;;) {
+            const pageQuery = lastKey
+                ? query(trackingRef, orderByKey(), startAfter(lastKey), limitToFirst(MOVE_BATCH_SIZE))
+                : query(trackingRef, orderByKey(), limitToFirst(MOVE_BATCH_SIZE));
+            const snapshot = await get(pageQuery);
+            const legacy = [];
+            snapshot.forEach((childSnapshot) => {
+                lastKey = childSnapshot.key;
+                if (REFERENCE_PATTERN.test(childSnapshot.key)) {
+                    legacy.push({ referenceNumber: childSnapshot.key, record: childSnapshot.val() || {} });
+                }
+            });
+
+            const updates = {};
+            await Promise.all(legacy.map(async ({ referenceNumber, record }) => {
+                updates[`publicTracking/${referenceNumber}`] = null;
+                const complaintSnap = await get(ref(db, `complaints/${record.complaintId}`));
+                const complaint = complaintSnap.val();
+                if (!complaint || complaint.referenceNumber !== referenceNumber) return;
+                const trackingCode = complaint.trackingCode || createTrackingCode(referenceNumber);
+                updates[`complaints/${record.complaintId}/trackingCode`] = trackingCode;
+                updates[`publicTracking/${trackingCode}`] = { ...record, voteCount: null };
+                moved++;
+            }));
+            if (Object.keys(updates).length) {
+                await update(ref(db), updates);
+            }
+            if (snapshot.size < MOVE_BATCH_SIZE) break;
+        }
+
+        await update(ref(db), { 'system/trackingCodesMovedAt': Date.now() });
+        return {
+            success: true,
+            moved: moved
+        };
+    } catch (error) {
+        console.error("Error moving tracking records:", error);
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+}
+
+/**
+ * Round the pin of a complaint for the public copies
+ * @param {Object} complaint - Complaint
+ * @returns {Object|null} { latitude, longitude }, or null if it is not pinned
+ */
+function getPublicCoordinates(complaint) {
+    const coordinates = getComplaintCoordinates(complaint);
+    return coordinates ? {
+        latitude: Number(coordinates.latitude.toFixed(PUBLIC_COORDINATE_DECIMALS)),
+        longitude: Number(coordinates.longitude.toFixed(PUBLIC_COORDINATE_DECIMALS))
+    } : null;
+}
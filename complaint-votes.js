@@ -0,0 +1,270 @@
+// Import Firebase services from config
+import { db, auth, storage } from './firebase-config.js';
+import { USE_CLOUDINARY, CLOUDINARY_CLOUD_NAME, CLOUDINARY_UPLOAD_PRESET, CLOUDINARY_FOLDER } from './media-config.js';
+import { getDistanceMeters } from './complaint-location.js';
+import { getOpenSummaries, getNewestOpenSummaries } from './complaint-tracking.js';
+import { ref, get, update } from "https://www.gstatic.com/firebasejs/12.5.0/firebase-database.js";
+import { ref as storageRef, uploadBytes, getDownloadURL } from "https://www.gstatic.com/firebasejs/12.5.0/firebase-storage.js";
+
+/**
+ * "Me too" votes
+ * Residents browse the anonymized summaries of open complaints (publicComplaints) and add one vote
+ * each to complaintVotes/{complaintId}/{userId} ({ comment, imageURL, createdAt }).
+ * The total is kept on the complaint and its summary as `voteCount`; the rules only accept a
+ * count that moves by one together with the voter's own vote, so a user can vote once per complaint.
+ */
+
+export const MAX_VOTE_COMMENT_LENGTH = 500;
+// Complaints further away than this are left out of the nearby list when the user's position is known
+export const NEARBY_RADIUS_METERS = 3000;
+// Complaints in these statuses no longer collect votes
+const CLOSED_STATUSES = ['resolved', 'rejected'];
+// Another resident may vote between reading the count and writing it; retry from the new count
+const MAX_VOTE_ATTEMPTS = 3;
+
+/**
+ * Get the open complaints other residents filed, nearest first
+ * Near a position only the summaries in the grid cells around it are read; without one, the newest open ones
+ * @param {Object|null} position - { latitude, longitude } of the user, or null to list the newest first
+ * @param {Object} options - { excludeIds (the user's own complaint IDs), radiusMeters, limit }
+ * @returns {Promise<Object>} Result object with data (summaries with referenceNumber and distance in meters)
+ */
+export async function getNearbyComplaints(position, options = {}) {
+    try {
+        const excludeIds = new Set(options.excludeIds || []);
+        const radius = options.radiusMeters || NEARBY_RADIUS_METERS;
+        const summaries = position
+            ? await getOpenSummaries({ coordinates: position })
+            : await getNewestOpenSummaries(options.limit ? options.limit + excludeIds.size : undefined);
+
+        let complaints = [];
+        summaries.forEach((summary) => {
+            if (CLOSED_STATUSES.includes(summary.status) || excludeIds.has(summary.complaintId)) return;
+            const distance = position && summary.coordinates ? getDistanceMeters(position, summary.coordinates) : null;
+            complaints.push({
+                referenceNumber: summary.referenceNumber,
+                complaintId: summary.complaintId,
+                title: summary.title,
+                category: summary.category,
+                status: summary.status,
+                area: summary.barangay || summary.city || null,
+                voteCount: summary.voteCount || 0,
+                createdAt: summary.createdAt,
+                distance: distance
+            });
+        });
+
+        if (position) {
+            complaints = complaints.filter(c => c.distance !== null && c.distance <= radius);
+            complaints.sort((a, b) => a.distance - b.distance);
+        } else {
+            complaints.sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
+        }
+
+        return {
+            success: true,
+            data: options.limit ? complaints.slice(0, options.limit) : complaints
+        };
+    } catch (error) {
+        console.error("Error getting nearby complaints:", error);
+        return {
+            success: false,
+            error: error.message,
+            data: []
+        };
+    }
+}
+
+/**
+ * Get the current user's vote on a complaint
+ * @param {string} complaintId - Complaint ID
+ * @returns {Promise<Object|null>} Vote, or null if the user has not voted
+ */
+export async function getMyVote(complaintId) {
+    const user = auth.currentUser;
+    if (!user) return null;
+    try {
+        const snapshot = await get(ref(db, `complaintVotes/${complaintId}/${user.uid}`));
+        return snapshot.val();
+    } catch (error) {
+        console.error("Error getting vote:", error);
+        return null;
+    }
+}
+
+/**
+ * Add a "me too" vote to another resident's complaint
+ * @param {Object} complaint - Summary from getNearbyComplaints ({ complaintId, referenceNumber })
+ * @param {Object} vote - { comment, file (optional image) }
+ * @returns {Promise<Object>} Result object with the new voteCount
+ */
+export async function castVote(complaint, vote = {}) {
+    try {
+        const user = auth.currentUser;
+        if (!user) {
+            return {
+                success: false,
+                error: "You must be logged in to vote"
+            };
+        }
+
+        const comment = String(vote.comment || '').trim();
+        if (comment.length > MAX_VOTE_COMMENT_LENGTH) {
+            return {
+                success: false,
+                error: `Comments are limited to ${MAX_VOTE_COMMENT_LENGTH} characters`
+            };
+        }
+        if (vote.file && !(vote.file.type || '').startsWith('image/')) {
+            return {
+                success: false,
+                error: "Only images can be attached to a vote"
+            };
+        }
+        if (await getMyVote(complaint.complaintId)) {
+            return {
+                success: false,
+                error: "You already said this affects you too"
+            };
+        }
+
+        const imageURL = vote.file ? await uploadVoteImage(complaint.complaintId, vote.file) : null;
+        const voteCount = await writeVoteCount(complaint, 1, {
+            comment: comment || null,
+            imageURL: imageURL,
+            createdAt: Date.now()
+        });
+
+        return {
+            success: true,
+            voteCount: voteCount,
+            message: "Thanks, the city hall can see this affects you too"
+        };
+    } catch (error) {
+        console.error("Error casting vote:", error);
+        return {
+            success: false,
+            error: error.message.includes('PERMISSION_DENIED')
+                ? "You cannot vote on this complaint"
+                : error.message
+        };
+    }
+}
+
+/**
+ * Take back the current user's vote
+ * @param {Object} complaint - Summary from getNearbyComplaints ({ complaintId, referenceNumber })
+ * @returns {Promise<Object>} Result object with the new voteCount
+ */
+export async function removeVote(complaint) {
+    try {
+        const user = auth.currentUser;
+        if (!user) {
+            return {
+                success: false,
+                error: "You must be logged in"
+            };
+        }
+        if (!(await getMyVote(complaint.complaintId))) {
+            return {
+                success: false,
+                error: "You have not voted on this complaint"
+            };
+        }
+
+        const voteCount = await writeVoteCount(complaint, -1, null);
+        return {
+            success: true,
+            voteCount: voteCount,
+            message: "Your vote was removed"
+        };
+    } catch (error) {
+        console.error("Error removing vote:", error);
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+}
+
+/**
+ * Get the votes on a complaint (staff only)
+ * @param {string} complaintId - Complaint ID
+ * @returns {Promise<Object>} Result object with votes array (newest first)
+ */
+export async function getComplaintVotes(complaintId) {
+    try {
+        const snapshot = await get(ref(db, `complaintVotes/${complaintId}`));
+        const votes = [];
+        snapshot.forEach((childSnapshot) => {
+            votes.push({
+                userId: childSnapshot.key,
+                ...childSnapshot.val()
+            });
+        });
+        votes.sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
+        return {
+            success: true,
+            data: votes
+        };
+    } catch (error) {
+        console.error("Error getting votes:", error);
+        return {
+            success: false,
+            error: error.message,
+            data: []
+        };
+    }
+}
+
+/**
+ * Write the user's vote (or its removal) together with the new count
+ * The count is read from the summary, since residents cannot read other residents' complaints
+ * @param {Object} complaint - { complaintId, referenceNumber }
+ * @param {number} change - 1 to add the vote, -1 to remove it
+ * @param {Object|null} vote - Vote to store, or null to remove it
+ * @returns {Promise<number>} New vote count
+ */
+async function writeVoteCount(complaint, change, vote) {
+    const user = auth.currentUser;
+    const countPath = `publicComplaints/${complaint.referenceNumber}/voteCount`;
+    for (let attempt = 1; ; attempt++) {
+        const snapshot = await get(ref(db, countPath));
+        const voteCount = Math.max(0, (snapshot.val() || 0) + change);
+        try {
+            await update(ref(db), {
+                [`complaintVotes/${complaint.complaintId}/${user.uid}`]: vote,
+                [`complaints/${complaint.complaintId}/voteCount`]: voteCount,
+                [countPath]: voteCount
+            });
+            return voteCount;
+        } catch (error) {
+            if (attempt >= MAX_VOTE_ATTEMPTS) throw error;
+            console.warn("Vote write failed, retrying:", error.message);
+        }
+    }
+}
+
+/**
+ * Upload an image attached to a vote
+ * @param {string} complaintId - Complaint ID
+ * @param {File} file - Image file
+ * @returns {Promise<string>} Download URL
+ */
+async function uploadVoteImage(complaintId, file) {
+    if (USE_CLOUDINARY) {
+        const formData = new FormData();
+        formData.append('file', file);
+        formData.append('upload_preset', CLOUDINARY_UPLOAD_PRESET);
+        if (CLOUDINARY_FOLDER) formData.append('folder', `${CLOUDINARY_FOLDER}/votes/${complaintId}`);
+        formData.append('context', `complaintId=${complaintId}`);
+        const res = await fetch(`https://api.cloudinary.com/v1_1/${CLOUDINARY_CLOUD_NAME}/image/upload`, { method: 'POST', body: formData });
+        if (!res.ok) throw new Error(`Cloudinary error ${res.status}`);
+        const data = await res.json();
+        return data.secure_url;
+    }
+
+    const sRef = storageRef(storage, `complaints/${complaintId}/votes/${Date.now()}-${file.name}`);
+    await uploadBytes(sRef, file, { contentType: file.type || 'image/jpeg' });
+    return getDownloadURL(sRef);
+}
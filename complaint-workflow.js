@@ -0,0 +1,246 @@
+// Import Firebase services from config
+import { db } from './firebase-config.js';
+import { DEFAULT_COMPLAINT_SETTINGS, normalizeSettingGroup } from './complaint-settings.js';
+import { commitWithAudit, AUDIT_ACTIONS } from './audit-log.js';
+import { ref, get } from "https://www.gstatic.com/firebasejs/12.5.0/firebase-database.js";
+
+/**
+ * Default complaint status workflow
+ * Mirrors settings/statuses and settings/workflow in the database; used when settings are not available.
+ * Each status lists the statuses it may move to and what a transition requires.
+ */
+export const DEFAULT_STATUS_WORKFLOW = {
+    initial: 'pending',
+    statuses: normalizeSettingGroup('statuses', DEFAULT_COMPLAINT_SETTINGS.statuses),
+    transitions: {
+        pending: {
+            in_progress: { requiresNote: false, requiresProof: false },
+            rejected: { requiresNote: true, requiresProof: false }
+        },
+        in_progress: {
+            pending: { requiresNote: false, requiresProof: false },
+            resolved: { requiresNote: false, requiresProof: true },
+            rejected: { requiresNote: true, requiresProof: false }
+        },
+        resolved: {
+            in_progress: { requiresNote: true, requiresProof: false },
+            rejected: { requiresNote: true, requiresProof: false }
+        },
+        rejected: {
+            pending: { requiresNote: true, requiresProof: false }
+        }
+    }
+};
+
+let cachedWorkflow = null;
+
+/**
+ * Load the status workflow from settings/statuses and settings/workflow
+ * Falls back to DEFAULT_STATUS_WORKFLOW if the settings cannot be read
+ * @param {boolean} forceRefresh - Ignore the cached copy
+ * @returns {Promise<Object>} Workflow object ({ initial, statuses, transitions })
+ */
+export async function getStatusWorkflow(forceRefresh = false) {
+    if (cachedWorkflow && !forceRefresh) {
+        return cachedWorkflow;
+    }
+
+    try {
+        const [statusesSnap, workflowSnap] = await Promise.all([
+            get(ref(db, 'settings/statuses')),
+            get(ref(db, 'settings/workflow'))
+        ]);
+
+        if (!statusesSnap.exists() || !workflowSnap.exists()) {
+            cachedWorkflow = DEFAULT_STATUS_WORKFLOW;
+            return cachedWorkflow;
+        }
+
+        const transitions = {};
+        workflowSnap.forEach((statusSnap) => {
+            transitions[statusSnap.key] = statusSnap.child('transitions').val() || {};
+        });
+
+        cachedWorkflow = {
+            initial: DEFAULT_STATUS_WORKFLOW.initial,
+            statuses: normalizeSettingGroup('statuses', statusesSnap.val()),
+            transitions
+        };
+        return cachedWorkflow;
+    } catch (error) {
+        console.warn("Could not load status workflow, using defaults:", error?.message || error);
+        return DEFAULT_STATUS_WORKFLOW;
+    }
+}
+
+/**
+ * Get the statuses a complaint may move to from its current status
+ * Disabled statuses are left out
+ * @param {Object} workflow - Workflow object from getStatusWorkflow
+ * @param {string} fromStatus - Current status
+ * @returns {Array<string>} Allowed target statuses
+ */
+export function getAllowedTransitions(workflow, fromStatus) {
+    return Object.keys((workflow.transitions || {})[fromStatus || workflow.initial] || {})
+        .filter(status => isStatusEnabled(workflow, status));
+}
+
+/**
+ * Get the enabled statuses in display order
+ * @param {Object} workflow - Workflow object from getStatusWorkflow
+ * @returns {Array<string>} Status keys
+ */
+export function getStatusKeys(workflow) {
+    const statuses = workflow.statuses || {};
+    return Object.keys(statuses)
+        .filter(status => isStatusEnabled(workflow, status))
+        .sort((a, b) => ((statuses[a].order || 0) - (statuses[b].order || 0)));
+}
+
+/**
+ * Check whether a status can still be assigned
+ * @param {Object} workflow - Workflow object from getStatusWorkflow
+ * @param {string} status - Status key
+ * @returns {boolean} True unless the status is unknown or disabled in the settings
+ */
+export function isStatusEnabled(workflow, status) {
+    const item = (workflow.statuses || {})[status];
+    return !!item && item.enabled !== false;
+}
+
+/**
+ * Get the requirements of a single transition
+ * @param {Object} workflow - Workflow object from getStatusWorkflow
+ * @param {string} fromStatus - Current status
+ * @param {string} toStatus - Target status
+ * @returns {Object|null} { requiresNote, requiresProof } or null if the transition is not allowed
+ */
+export function getTransitionRules(workflow, fromStatus, toStatus) {
+    const rules = ((workflow.transitions || {})[fromStatus || workflow.initial] || {})[toStatus];
+    if (!rules) return null;
+    return {
+        requiresNote: rules.requiresNote === true,
+        requiresProof: rules.requiresProof === true
+    };
+}
+
+/**
+ * Check a status change against the workflow
+ * @param {Object} workflow - Workflow object from getStatusWorkflow
+ * @param {string} fromStatus - Current status
+ * @param {string} toStatus - Target status
+ * @param {Object} fields - Values supplied with the change ({ note, proofURL })
+ * @returns {Object} { valid: boolean, error?: string }
+ */
+export function validateStatusTransition(workflow, fromStatus, toStatus, fields = {}) {
+    const statuses = workflow.statuses || {};
+    if (!statuses[toStatus]) {
+        return { valid: false, error: `Unknown status "${toStatus}"` };
+    }
+    if (!isStatusEnabled(workflow, toStatus)) {
+        return { valid: false, error: `${getStatusLabel(workflow, toStatus)} is disabled` };
+    }
+
+    const from = fromStatus || workflow.initial;
+    if (from === toStatus) {
+        return { valid: false, error: `Complaint is already ${getStatusLabel(workflow, toStatus)}` };
+    }
+
+    const rules = getTransitionRules(workflow, from, toStatus);
+    if (!rules) {
+        return {
+            valid: false,
+            error: `Cannot move a complaint from ${getStatusLabel(workflow, from)} to ${getStatusLabel(workflow, toStatus)}`
+        };
+    }
+
+    if (rules.requiresNote && !(fields.note && String(fields.note).trim())) {
+        return { valid: false, error: `A note is required to move a complaint to ${getStatusLabel(workflow, toStatus)}` };
+    }
+
+    if (rules.requiresProof && !fields.proofURL) {
+        return { valid: false, error: `A proof image is required to move a complaint to ${getStatusLabel(workflow, toStatus)}` };
+    }
+
+    return { valid: true };
+}
+
+/**
+ * Get the display label of a status
+ * @param {Object} workflow - Workflow object from getStatusWorkflow
+ * @param {string} status - Status key
+ * @returns {string} Label
+ */
+export function getStatusLabel(workflow, status) {
+    const label = (workflow.statuses || {})[status];
+    if (typeof label === 'string') return label;
+    if (label && label.label) return label.label;
+    return String(status || '').replace('_', ' ');
+}
+
+/**
+ * Get the display color of a status
+ * @param {Object} workflow - Workflow object from getStatusWorkflow
+ * @param {string} status - Status key
+ * @returns {string} CSS color
+ */
+export function getStatusColor(workflow, status) {
+    const item = (workflow.statuses || {})[status];
+    return (item && item.color) || '#64748b';
+}
+
+/**
+ * Save the statuses a status may move to (admin only)
+ * @param {string} status - Status key
+ * @param {Object} transitions - Target status -> { requiresNote, requiresProof }
+ * @returns {Promise<Object>} Result object
+ */
+export async function saveStatusTransitions(status, transitions) {
+    try {
+        const value = {};
+        Object.keys(transitions || {}).forEach((target) => {
+            if (target === status) return;
+            value[target] = {
+                requiresNote: transitions[target].requiresNote === true,
+                requiresProof: transitions[target].requiresProof === true
+            };
+        });
+        // The first edit of a workflow still on the built-in defaults stores the default transitions
+        const workflowSnap = await get(ref(db, 'settings/workflow'));
+        const transitionsValue = Object.keys(value).length ? value : null;
+        let before;
+        let updates;
+        if (workflowSnap.exists()) {
+            before = workflowSnap.child(`${status}/transitions`).val();
+            updates = { [`settings/workflow/${status}/transitions`]: transitionsValue };
+        } else {
+            const defaults = {};
+            Object.keys(DEFAULT_STATUS_WORKFLOW.transitions).forEach((key) => {
+                defaults[key] = { transitions: DEFAULT_STATUS_WORKFLOW.transitions[key] };
+            });
+            before = DEFAULT_STATUS_WORKFLOW.transitions[status] || null;
+            defaults[status] = { transitions: transitionsValue };
+            updates = { 'settings/workflow': defaults };
+        }
+
+        await commitWithAudit(updates, {
+            action: AUDIT_ACTIONS.SETTINGS_CHANGED,
+            targetType: 'settings',
+            targetId: `workflow/${status}`,
+            summary: `Transitions from ${status}`,
+            before: before,
+            after: transitionsValue
+        });
+        cachedWorkflow = null;
+
+        return {
+            success: true
+        };
+    } catch (error) {
+        console.error("Error saving status transitions:", error);
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+}
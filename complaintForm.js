@@ -1,16 +1,66 @@
 // Import Firebase services from config
 import { db, auth, storage } from './firebase-config.js';
 import { USE_CLOUDINARY, CLOUDINARY_CLOUD_NAME, CLOUDINARY_UPLOAD_PRESET, CLOUDINARY_FOLDER } from './media-config.js';
-import { ref, push, set, update } from "https://www.gstatic.com/firebasejs/12.5.0/firebase-database.js";
-import { ref as storageRef, uploadBytes, getDownloadURL } from "https://www.gstatic.com/firebasejs/12.5.0/firebase-storage.js";
+import { MAX_ATTACHMENTS, getAttachmentType } from './complaint-attachments.js';
+import { buildLocationString, validateLocation, getBarangayKey } from './complaint-location.js';
+import { findSimilarComplaints } from './complaint-duplicates.js';
+import { getNewComplaintSla } from './complaint-sla.js';
+import { allocateReferenceNumber, createTrackingCode, addTrackingRecord } from './complaint-tracking.js';
+import { createReporterId, addSealedReporter, isConfidential, isOwnComplaint } from './complaint-confidentiality.js';
+import { addComplaintImage } from './complaint-images.js';
+import { ref, push, update, get } from "https://www.gstatic.com/firebasejs/12.5.0/firebase-database.js";
+import { ref as storageRef, uploadBytesResumable, getDownloadURL } from "https://www.gstatic.com/firebasejs/12.5.0/firebase-storage.js";
+
+// Upload retry/backoff settings
+const UPLOAD_MAX_ATTEMPTS = 4;
+const UPLOAD_BASE_DELAY_MS = 2000;
+// Cloudinary requires every chunk except the last to be at least 5MB
+const CLOUDINARY_CHUNK_SIZE = 6 * 1024 * 1024;
+// Queued submissions keep the time they were filed, up to this far back (the rules accept no older createdAt)
+const MAX_FILED_AGE_MS = 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * Reserve an ID for a new complaint
+ * Push IDs are generated on the device, so this works offline
+ * @returns {string} Complaint ID
+ */
+export function createComplaintId() {
+    return push(ref(db, 'complaints')).key;
+}
+
+/**
+ * Read a complaint whose ID was reserved with createComplaintId
+ * The rules only let the reporter read a complaint once it is saved under their ID,
+ * so a permission error means it was never written
+ * @param {string} complaintId - Complaint ID
+ * @returns {Promise<Object|null>} Complaint data, or null if it was not saved
+ */
+export async function getReservedComplaint(complaintId) {
+    try {
+        const snapshot = await get(ref(db, `complaints/${complaintId}`));
+        return snapshot.exists() ? snapshot.val() : null;
+    } catch (error) {
+        if (error.code === 'PERMISSION_DENIED') return null;
+        throw error;
+    }
+}
 
 /**
  * Submit a new complaint
- * @param {Object} complaintData - Complaint data object
- * @param {File} file - Optional file to upload (image/video)
- * @returns {Promise<Object>} Result object
+ * @param {Object} complaintData - Complaint data object; the location is given either as
+ *                                 locationDetails ({ province, city, barangay, detail }) with optional
+ *                                 coordinates ({ latitude, longitude, accuracy, source }), or as a plain location string;
+ *                                 mergedInto links it to an existing complaint about the same problem;
+ *                                 confidential files it under a reporter ID that staff cannot link to the account
+ * @param {Array<File>|File} files - Optional files to attach (images/videos), in display order
+ * @param {Object} options - Optional { complaintId, createdAt } used when replaying a queued submission,
+ *                           skipDuplicateCheck to submit even if similar complaints exist,
+ *                           and onUploadProgress(percent) to follow the file uploads
+ * @returns {Promise<Object>} Result object with the complaint's referenceNumber and trackingCode; when files are given,
+ *                            `upload` resolves with the upload result.
+ *                            If similar open complaints exist, nothing is saved and `duplicates` lists them
  */
-export async function submitComplaint(complaintData, file = null) {
+export async function submitComplaint(complaintData, files = null, options = {}) {
     try {
         const user = auth.currentUser;
         if (!user) {
@@ -21,90 +71,149 @@ export async function submitComplaint(complaintData, file = null) {
         }
 
         // Validate required fields
-        if (!complaintData.title || !complaintData.description || !complaintData.category || !complaintData.location) {
+        const hasLocation = complaintData.locationDetails || complaintData.location;
+        if (!complaintData.title || !complaintData.description || !complaintData.category || !hasLocation) {
             return {
                 success: false,
                 error: "Please fill in all required fields"
             };
         }
 
-        // If a file will be uploaded, precompute a stable storage path to avoid mismatch
-        let plannedStoragePath = null;
-        let inlineImage = null;
-        if (!USE_CLOUDINARY) {
-            if (file && file.name) {
-                const nameParts = file.name.split('.');
-                const fileExtension = nameParts.length > 1 ? nameParts.pop() : 'bin';
-                plannedStoragePath = `complaints/${user.uid}/${Date.now()}.${fileExtension}`;
+        // Validate the structured location and optional pin
+        const locationDetails = complaintData.locationDetails
+            ? {
+                province: (complaintData.locationDetails.province || '').trim() || null,
+                city: (complaintData.locationDetails.city || '').trim() || null,
+                barangay: (complaintData.locationDetails.barangay || '').trim() || null,
+                detail: (complaintData.locationDetails.detail || '').trim() || null
             }
+            : null;
+        const coordinates = complaintData.coordinates
+            ? {
+                latitude: Number(complaintData.coordinates.latitude),
+                longitude: Number(complaintData.coordinates.longitude),
+                accuracy: Number.isFinite(complaintData.coordinates.accuracy) ? Math.round(complaintData.coordinates.accuracy) : null,
+                source: complaintData.coordinates.source === 'gps' ? 'gps' : 'pin'
+            }
+            : null;
+        const locationCheck = validateLocation(locationDetails || { detail: complaintData.location }, coordinates);
+        if (!locationCheck.valid) {
+            return {
+                success: false,
+                error: locationCheck.error
+            };
         }
 
-        // If image, prepare a compressed base64 preview for fast inline display (kept small)
-        if (file && typeof file.type === 'string' && file.type.startsWith('image/')) {
+        const fileList = (Array.isArray(files) ? files : [files]).filter(Boolean);
+        if (fileList.length > MAX_ATTACHMENTS) {
+            return {
+                success: false,
+                error: `You can attach up to ${MAX_ATTACHMENTS} files`
+            };
+        }
+
+        // Offer to join a similar open complaint instead of filing a separate one
+        if (!complaintData.mergedInto && !options.skipDuplicateCheck) {
+            const similar = await findSimilarComplaints({
+                title: complaintData.title,
+                description: complaintData.description,
+                category: complaintData.category,
+                location: locationDetails ? buildLocationString(locationDetails) : complaintData.location,
+                locationDetails: locationDetails,
+                coordinates: coordinates
+            });
+            if (similar.success && similar.data.length) {
+                return {
+                    success: false,
+                    error: "Similar reports already exist",
+                    duplicates: similar.data
+                };
+            }
+        }
+
+        // A retried submission keeps the reference number, tracking code and reporter ID it was given the first time
+        const createdAt = Math.max(options.createdAt || Date.now(), Date.now() - MAX_FILED_AGE_MS);
+        const complaintId = options.complaintId || createComplaintId();
+        const existing = (options.complaintId && await getReservedComplaint(complaintId)) || {};
+        const referenceNumber = existing.referenceNumber || await allocateReferenceNumber(createdAt);
+        const trackingCode = existing.trackingCode || createTrackingCode(referenceNumber);
+        const reporterId = complaintData.confidential
+            ? (isConfidential(existing) ? existing.userId : createReporterId())
+            : user.uid;
+
+        // Describe each file up front (planned storage path, thumbnail) so the list renders before uploads finish
+        const timestamp = Date.now();
+        const attachments = await Promise.all(fileList.map((file, index) => createAttachment(file, reporterId, timestamp, index)));
+
+        // If the first image exists, prepare a compressed base64 preview for fast inline display (kept small)
+        let inlineImage = null;
+        const firstImage = fileList.find(file => getAttachmentType(file) === 'image');
+        if (firstImage) {
             try {
-                inlineImage = await encodeImageToDataUrl(file, { maxWidth: 900, maxHeight: 900, quality: 0.72, maxBytes: 350_000 });
+                inlineImage = await encodeImageToDataUrl(firstImage, { maxWidth: 900, maxHeight: 900, quality: 0.72, maxBytes: 350_000 });
             } catch (e) {
                 console.warn('Failed to generate inlineImage preview:', e?.message || e);
             }
         }
 
+        // The deadline is the stricter of the category and priority SLA targets; the clock starts when the
+        // complaint is sent, so a submission that waited in the offline queue is not already overdue
+        const priority = complaintData.priority || 'medium';
+        const sla = await getNewComplaintSla({ category: complaintData.category, priority }, Date.now());
+
         // Prepare complaint data
+        // fileURL/storagePath mirror the first attachment for pages that predate the attachments list
         const complaint = {
-            userId: user.uid,
+            userId: reporterId,
+            referenceNumber: referenceNumber,
+            trackingCode: trackingCode,
             title: complaintData.title.trim(),
             description: complaintData.description.trim(),
             category: complaintData.category,
-            location: complaintData.location.trim(),
-            priority: complaintData.priority || 'medium',
+            location: locationDetails ? buildLocationString(locationDetails) : complaintData.location.trim(),
+            locationDetails: locationDetails,
+            barangayKey: getBarangayKey(locationDetails),
+            coordinates: coordinates,
+            priority: priority,
             status: 'pending',
-            createdAt: Date.now(),
+            createdAt: createdAt,
+            slaHours: sla.slaHours,
+            slaStartedAt: sla.slaStartedAt,
+            dueAt: sla.dueAt,
             updatedAt: Date.now(),
             fileURL: null,
-            storagePath: plannedStoragePath, // helps dashboard recover URL if needed
-            inlineImage: inlineImage || null,
+            attachments: attachments.length ? attachments : null,
+            uploadStatus: attachments.length ? 'pending' : null,
+            storagePath: attachments.length ? attachments[0].storagePath : null, // helps dashboard recover URL if needed
             adminNotes: null,
-            assignedTo: null
+            assignedTo: null,
+            mergedInto: complaintData.mergedInto || null,
+            mergedAt: complaintData.mergedInto ? Date.now() : null
         };
 
         // Save complaint to database FIRST (fast operation)
         const startTime = Date.now();
-        const complaintsRef = ref(db, 'complaints');
-        const newComplaintRef = push(complaintsRef);
-        
+        // Reuse a reserved ID so a retried submission overwrites itself instead of duplicating
+        const newComplaintRef = ref(db, `complaints/${complaintId}`);
+        // The public tracking copy and the preview image are written with the complaint
+        const updates = { [`complaints/${complaintId}`]: complaint };
+        addTrackingRecord(updates, complaintId, complaint);
+        addComplaintImage(updates, complaintId, 'inlineImage', inlineImage);
+        if (reporterId !== user.uid) {
+            addSealedReporter(updates, reporterId, complaintId, createdAt);
+        }
+
         console.log('⏱️ Starting database write...');
-        await set(newComplaintRef, complaint);
+        await update(ref(db), updates);
         const dbWriteTime = Date.now() - startTime;
         console.log(`✅ Database write completed in ${dbWriteTime}ms`);
 
-        // Upload file in background if provided (non-blocking for better UX)
-        console.log('🔍 Checking file parameter:', file);
-        console.log('🔍 File type:', typeof file);
-        console.log('🔍 File is null?', file === null);
-        console.log('🔍 File is undefined?', file === undefined);
-        
-        if (file) {
-            console.log('📤 File provided for upload:', file.name, file.size, 'bytes', 'Type:', file.type);
-            console.log('📤 Starting upload for complaint (background):', newComplaintRef.key, 'path:', plannedStoragePath);
-            // Fire-and-forget upload to avoid blocking navigation; errors are logged
-            uploadFileAsync(newComplaintRef.key, file, user.uid, plannedStoragePath)
-                .then((uploadedURL) => {
-                    console.log('✅✅✅ File upload completed and saved for complaint:', newComplaintRef.key, 'URL:', uploadedURL);
-                })
-                .catch((error) => {
-                    console.error("❌❌❌ File upload FAILED for complaint:", newComplaintRef.key);
-                    console.error("❌ Error type:", error.constructor.name);
-                    console.error("❌ Error message:", error.message);
-                    console.error("❌ Error code:", error.code);
-                    console.error("❌ Full error:", error);
-                    if (error.code === 'storage/unauthorized') {
-                        console.error("🔒 SOLUTION: Go to Firebase Console → Storage → Rules and allow authenticated uploads");
-                    } else if (error.message.includes('network') || error.message.includes('connection')) {
-                        console.error("🌐 SOLUTION: Check internet connection and Firebase Storage is enabled");
-                    }
-                });
-        } else {
-            console.log('⚠️ No file provided for complaint:', newComplaintRef.key);
-            console.log('⚠️ File value:', file);
+        // Upload files in parallel in the background (non-blocking for better UX)
+        // Progress, retries and the final uploadStatus are handled by uploadAttachments
+        let upload = null;
+        if (fileList.length) {
+            console.log('📤 Starting upload for complaint (background):', newComplaintRef.key, fileList.length, 'file(s)');
+            upload = uploadAttachments(newComplaintRef.key, fileList, reporterId, attachments, options.onUploadProgress);
         }
 
         const totalTime = Date.now() - startTime;
@@ -112,8 +221,11 @@ export async function submitComplaint(complaintData, file = null) {
 
         return {
             success: true,
-            message: "Complaint submitted successfully!",
-            complaintId: newComplaintRef.key
+            message: `Complaint submitted successfully! Your reference number is ${referenceNumber}. Anyone with the tracking code ${trackingCode} can follow it on the public tracking page.`,
+            complaintId: newComplaintRef.key,
+            referenceNumber: referenceNumber,
+            trackingCode: trackingCode,
+            upload
         };
     } catch (error) {
         console.error("Error submitting complaint:", error);
@@ -125,114 +237,375 @@ export async function submitComplaint(complaintData, file = null) {
 }
 
 /**
- * Upload file asynchronously and update complaint with file URL
+ * Retry the upload of one attachment of the current user's complaint
+ * Used from the dashboard when an upload failed or never finished
  * @param {string} complaintId - Complaint ID
+ * @param {number} index - Attachment index
  * @param {File} file - File to upload
- * @param {string} userId - User ID
+ * @param {Function} onProgress - Optional callback that receives the upload percentage
+ * @returns {Promise<Object>} Result object
  */
-async function uploadFileAsync(complaintId, file, userId, storagePathOverride = null) {
+export async function retryComplaintUpload(complaintId, index, file, onProgress = null) {
     try {
-        console.log('🚀 Starting file upload for complaint:', complaintId);
-        console.log('📄 File details:', {
-            name: file.name,
-            size: file.size,
-            type: file.type,
-            lastModified: file.lastModified
-        });
+        const user = auth.currentUser;
+        if (!user) {
+            return {
+                success: false,
+                error: "You must be logged in to upload a file"
+            };
+        }
 
-        if (USE_CLOUDINARY) {
-            console.log('☁️ Using Cloudinary unsigned upload');
-            if (!CLOUDINARY_CLOUD_NAME || !CLOUDINARY_UPLOAD_PRESET) {
-                throw new Error('Cloudinary config missing. Set CLOUDINARY_CLOUD_NAME and CLOUDINARY_UPLOAD_PRESET in media-config.js');
-            }
-            const cloudURL = `https://api.cloudinary.com/v1_1/${CLOUDINARY_CLOUD_NAME}/auto/upload`;
-            const formData = new FormData();
-            formData.append('file', file);
-            formData.append('upload_preset', CLOUDINARY_UPLOAD_PRESET);
-            if (CLOUDINARY_FOLDER) formData.append('folder', `${CLOUDINARY_FOLDER}/${userId}`);
-            // Optional: client hints
-            formData.append('context', `complaintId=${complaintId}`);
-
-            const uploadStartTime = Date.now();
-            const response = await fetch(cloudURL, { method: 'POST', body: formData });
-            const uploadTime = Date.now() - uploadStartTime;
-            if (!response.ok) {
-                const errText = await response.text();
-                throw new Error(`Cloudinary upload failed: ${response.status} ${errText}`);
+        const snapshot = await get(ref(db, `complaints/${complaintId}`));
+        if (!snapshot.exists() || !(await isOwnComplaint(snapshot.val()))) {
+            return {
+                success: false,
+                error: "Complaint not found"
+            };
+        }
+
+        const complaintRef = ref(db, `complaints/${complaintId}`);
+        if (!snapshot.child(`attachments/${index}`).exists()) {
+            // Single-file complaint from before attachments existed
+            const attachment = await createAttachment(file, snapshot.val().userId, Date.now(), index);
+            await update(complaintRef, { [`attachments/${index}`]: attachment });
+        }
+
+        await update(complaintRef, { uploadStatus: 'uploading' });
+        const result = await uploadAttachment(complaintId, index, file, snapshot.val().userId, null, onProgress);
+        await refreshUploadStatus(complaintId);
+        return result;
+    } catch (error) {
+        console.error("Error retrying upload:", error);
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+}
+
+/**
+ * Describe a file as a complaint attachment before it is uploaded
+ * @param {File} file - Selected file
+ * @param {string} userId - User ID, or the reporter ID of a confidential complaint
+ * @param {number} timestamp - Submission time, used in the storage path
+ * @param {number} index - Position of the file in the complaint
+ * @returns {Promise<Object>} Attachment object
+ */
+async function createAttachment(file, userId, timestamp, index) {
+    const type = getAttachmentType(file);
+    let storagePath = null;
+    if (!USE_CLOUDINARY && file.name) {
+        const nameParts = file.name.split('.');
+        const fileExtension = nameParts.length > 1 ? nameParts.pop() : 'bin';
+        storagePath = `complaints/${userId}/${timestamp}-${index}.${fileExtension}`;
+    }
+
+    let thumbnail = null;
+    if (type === 'image') {
+        try {
+            thumbnail = await encodeImageToDataUrl(file, { maxWidth: 240, maxHeight: 240, quality: 0.7, maxBytes: 30_000 });
+        } catch (e) {
+            console.warn('Failed to generate attachment thumbnail:', e?.message || e);
+        }
+    }
+
+    return {
+        name: file.name || `attachment-${index + 1}`,
+        type,
+        mimeType: file.type || null,
+        size: file.size || 0,
+        provider: USE_CLOUDINARY ? 'cloudinary' : 'firebase',
+        url: null,
+        storagePath,
+        thumbnail,
+        status: 'pending'
+    };
+}
+
+/**
+ * Upload all files of a complaint in parallel and set the overall uploadStatus
+ * uploadStatus: pending -> uploading -> done | failed (if any file failed)
+ * @param {string} complaintId - Complaint ID
+ * @param {Array<File>} files - Files, in attachment order
+ * @param {string} userId - User ID, or the reporter ID of a confidential complaint
+ * @param {Array<Object>} attachments - Attachments created for the files
+ * @param {Function} onProgress - Optional callback that receives the overall upload percentage
+ * @returns {Promise<Object>} Result object with fileURLs
+ */
+async function uploadAttachments(complaintId, files, userId, attachments, onProgress = null) {
+    const complaintRef = ref(db, `complaints/${complaintId}`);
+    const totalBytes = files.reduce((sum, file) => sum + (file.size || 0), 0);
+    const loadedBytes = files.map(() => 0);
+
+    try {
+        await update(complaintRef, { uploadStatus: 'uploading' });
+    } catch (e) {
+        console.warn('Could not mark upload as started:', e?.message || e);
+    }
+
+    const results = await Promise.all(files.map((file, index) =>
+        uploadAttachment(complaintId, index, file, userId, attachments[index].storagePath, (percent) => {
+            loadedBytes[index] = (file.size || 0) * percent / 100;
+            if (onProgress && totalBytes) {
+                onProgress(Math.round((loadedBytes.reduce((a, b) => a + b, 0) / totalBytes) * 100));
             }
-            const data = await response.json();
-            console.log(`✅ Cloudinary uploaded in ${uploadTime}ms`, data);
+        })
+    ));
 
-            const downloadURL = data.secure_url;
-            const publicId = data.public_id;
+    const failed = results.filter(r => !r.success).length;
+    try {
+        await update(complaintRef, {
+            uploadStatus: failed ? 'failed' : 'done',
+            uploadError: failed ? `${failed} of ${files.length} file(s) failed to upload` : null,
+            updatedAt: Date.now()
+        });
+    } catch (e) {
+        console.warn('Could not record upload status:', e?.message || e);
+    }
+
+    if (failed) {
+        return {
+            success: false,
+            error: `${failed} of ${files.length} file(s) failed to upload`,
+            fileURLs: results.map(r => r.fileURL || null)
+        };
+    }
+    return {
+        success: true,
+        fileURLs: results.map(r => r.fileURL)
+    };
+}
 
-            const complaintRef = ref(db, `complaints/${complaintId}`);
+/**
+ * Recompute a complaint's uploadStatus from its attachments
+ * @param {string} complaintId - Complaint ID
+ */
+async function refreshUploadStatus(complaintId) {
+    const snapshot = await get(ref(db, `complaints/${complaintId}/attachments`));
+    const statuses = [];
+    snapshot.forEach((child) => {
+        statuses.push(child.child('status').val());
+    });
+
+    const failed = statuses.filter(status => status === 'failed').length;
+    const pending = statuses.some(status => status === 'pending' || status === 'uploading');
+    await update(ref(db, `complaints/${complaintId}`), {
+        uploadStatus: failed ? 'failed' : (pending ? 'uploading' : 'done'),
+        uploadError: failed ? `${failed} of ${statuses.length} file(s) failed to upload` : null,
+        updatedAt: Date.now()
+    });
+}
+
+/**
+ * Upload one attachment with retry/backoff and keep its status in sync
+ * Attachment status: pending -> uploading -> done | failed
+ * @param {string} complaintId - Complaint ID
+ * @param {number} index - Attachment index
+ * @param {File} file - File to upload
+ * @param {string} userId - User ID, or the reporter ID of a confidential complaint
+ * @param {string} storagePathOverride - Optional Firebase Storage path reserved at submit time
+ * @param {Function} onProgress - Optional callback that receives the upload percentage
+ * @returns {Promise<Object>} Result object with fileURL
+ */
+async function uploadAttachment(complaintId, index, file, userId, storagePathOverride = null, onProgress = null) {
+    const complaintRef = ref(db, `complaints/${complaintId}`);
+    const base = `attachments/${index}`;
+    // Kept across attempts so a chunked upload resumes where it stopped
+    const resume = {};
+    let lastError = null;
+
+    for (let attempt = 1; attempt <= UPLOAD_MAX_ATTEMPTS; attempt++) {
+        try {
             await update(complaintRef, {
-                fileURL: downloadURL,
-                storagePath: publicId,
-                provider: 'cloudinary',
-                updatedAt: Date.now()
+                [`${base}/status`]: 'uploading',
+                [`${base}/attempts`]: attempt,
+                [`${base}/error`]: null
             });
-            console.log('✅✅✅ Complaint updated with Cloudinary URL:', downloadURL);
-            return downloadURL;
-        } else {
-            // Firebase Storage path
-            // Verify storage is initialized
-            if (!storage) {
-                throw new Error('Firebase Storage is not initialized');
-            }
-            console.log('✅ Storage initialized:', storage.app.name);
-            
-            const fileExtension = file.name.split('.').pop();
-            const fileName = storagePathOverride || `complaints/${userId}/${Date.now()}.${fileExtension}`;
-            console.log('📁 Storage path:', fileName);
-            
-            const fileRef = storageRef(storage, fileName);
-            console.log('📤 Starting uploadBytes...');
-            
-            const uploadStartTime = Date.now();
-            await uploadBytes(fileRef, file, { contentType: file.type || 'application/octet-stream' });
-            const uploadTime = Date.now() - uploadStartTime;
-            console.log(`✅ File bytes uploaded in ${uploadTime}ms`);
-            
-            console.log('🔗 Getting download URL...');
-            const urlStartTime = Date.now();
-            const downloadURL = await getDownloadURL(fileRef);
-            const urlTime = Date.now() - urlStartTime;
-            console.log(`✅ Download URL obtained in ${urlTime}ms:`, downloadURL);
-            
-            // Update complaint with file URL
-            const complaintRef = ref(db, `complaints/${complaintId}`);
-            console.log('💾 Updating complaint with fileURL...');
-            
-            await update(complaintRef, {
-                fileURL: downloadURL,
+
+            const uploaded = await uploadFileOnce(complaintId, file, userId, storagePathOverride, onProgress, resume);
+            const updates = {
+                [`${base}/url`]: uploaded.fileURL,
+                [`${base}/storagePath`]: uploaded.storagePath,
+                [`${base}/provider`]: uploaded.provider,
+                [`${base}/status`]: 'done',
+                [`${base}/error`]: null,
                 updatedAt: Date.now()
-            });
-            
-            console.log('✅✅✅ File upload COMPLETE! Complaint updated with fileURL:', downloadURL);
-            return downloadURL; // Return URL for promise chain
+            };
+            if (uploaded.thumbnail) {
+                updates[`${base}/thumbnail`] = uploaded.thumbnail;
+            }
+            if (index === 0) {
+                // Keep the legacy single-file fields pointing at the first attachment
+                updates.fileURL = uploaded.fileURL;
+                updates.storagePath = uploaded.storagePath;
+                updates.provider = uploaded.provider;
+            }
+            await update(complaintRef, updates);
+            console.log('✅ File upload complete for complaint:', complaintId, 'attachment', index, uploaded.fileURL);
+
+            return {
+                success: true,
+                fileURL: uploaded.fileURL
+            };
+        } catch (error) {
+            lastError = error;
+            console.warn(`⚠️ Upload attempt ${attempt}/${UPLOAD_MAX_ATTEMPTS} failed for complaint ${complaintId} attachment ${index}:`, error?.message || error);
+            if (error.code === 'storage/unauthorized') {
+                console.error("🔒 STORAGE RULES ERROR: Check Firebase Storage rules!");
+                break;
+            }
+            if (attempt < UPLOAD_MAX_ATTEMPTS) {
+                await new Promise(resolve => setTimeout(resolve, UPLOAD_BASE_DELAY_MS * 2 ** (attempt - 1)));
+            }
         }
-    } catch (fileError) {
-        console.error("❌❌❌ CRITICAL: File upload FAILED!");
-        console.error("❌ Error type:", fileError.constructor.name);
-        console.error("❌ Error message:", fileError.message);
-        console.error("❌ Error code:", fileError.code);
-        console.error("❌ Error stack:", fileError.stack);
-        console.error("❌ Full error object:", fileError);
-        
-        // Check for specific error types
-        if (fileError.code === 'storage/unauthorized') {
-            console.error("🔒 STORAGE RULES ERROR: Check Firebase Storage rules!");
-        } else if (fileError.code === 'storage/canceled') {
-            console.error("🚫 Upload was canceled");
-        } else if (fileError.message.includes('network') || fileError.message.includes('connection')) {
-            console.error("🌐 NETWORK ERROR: Check internet connection and Firebase Storage access");
+    }
+
+    console.error("❌ File upload FAILED for complaint:", complaintId, 'attachment', index, lastError);
+    try {
+        await update(complaintRef, {
+            [`${base}/status`]: 'failed',
+            [`${base}/error`]: lastError?.message || 'Upload failed'
+        });
+    } catch (e) {
+        console.warn('Could not record failed upload:', e?.message || e);
+    }
+
+    return {
+        success: false,
+        error: lastError?.message || 'Upload failed'
+    };
+}
+
+/**
+ * Upload a file once to Cloudinary or Firebase Storage
+ * @param {string} complaintId - Complaint ID
+ * @param {File} file - File to upload
+ * @param {string} userId - User ID, or the reporter ID of a confidential complaint
+ * @param {string} storagePathOverride - Optional Firebase Storage path
+ * @param {Function} onProgress - Optional progress callback (percentage)
+ * @param {Object} resume - Resume state shared between attempts
+ * @returns {Promise<Object>} Attachment fields to save (fileURL, storagePath, provider, thumbnail)
+ */
+async function uploadFileOnce(complaintId, file, userId, storagePathOverride, onProgress, resume) {
+    if (USE_CLOUDINARY) {
+        if (!CLOUDINARY_CLOUD_NAME || !CLOUDINARY_UPLOAD_PRESET) {
+            throw new Error('Cloudinary config missing. Set CLOUDINARY_CLOUD_NAME and CLOUDINARY_UPLOAD_PRESET in media-config.js');
         }
-        
-        // Re-throw so we can see the error in the console
-        throw fileError; // This will be caught by the caller
+        const data = await uploadToCloudinaryChunked(file, {
+            folder: CLOUDINARY_FOLDER ? `${CLOUDINARY_FOLDER}/${userId}` : null,
+            context: `complaintId=${complaintId}`
+        }, onProgress, resume);
+        return {
+            fileURL: data.secure_url,
+            storagePath: data.public_id,
+            provider: 'cloudinary',
+            // Cloudinary serves a poster frame for a video when the extension is swapped to .jpg
+            thumbnail: data.resource_type === 'video' ? data.secure_url.replace(/\.[^./]+$/, '.jpg') : null
+        };
+    }
+
+    // Firebase Storage path
+    if (!storage) {
+        throw new Error('Firebase Storage is not initialized');
+    }
+    const fileExtension = file.name.split('.').pop();
+    const fileName = storagePathOverride || resume.storagePath || `complaints/${userId}/${Date.now()}.${fileExtension}`;
+    resume.storagePath = fileName;
+
+    const fileRef = storageRef(storage, fileName);
+    const downloadURL = await new Promise((resolve, reject) => {
+        // uploadBytesResumable sends the file in chunks and retries transient failures itself
+        const task = uploadBytesResumable(fileRef, file, { contentType: file.type || 'application/octet-stream' });
+        task.on('state_changed',
+            (snapshot) => {
+                if (onProgress && snapshot.totalBytes) {
+                    onProgress(Math.round((snapshot.bytesTransferred / snapshot.totalBytes) * 100));
+                }
+            },
+            reject,
+            () => getDownloadURL(task.snapshot.ref).then(resolve, reject)
+        );
+    });
+
+    return {
+        fileURL: downloadURL,
+        storagePath: fileName,
+        provider: 'firebase'
+    };
+}
+
+/**
+ * Upload a file to Cloudinary in chunks (unsigned upload)
+ * Chunks share an upload ID, so a retry continues from the last chunk that was accepted
+ * @param {File} file - File to upload
+ * @param {Object} fields - Extra upload fields (folder, context)
+ * @param {Function} onProgress - Optional progress callback (percentage)
+ * @param {Object} resume - Resume state ({ uploadId, offset }) shared between attempts
+ * @returns {Promise<Object>} Cloudinary upload response
+ */
+async function uploadToCloudinaryChunked(file, fields, onProgress, resume) {
+    const cloudURL = `https://api.cloudinary.com/v1_1/${CLOUDINARY_CLOUD_NAME}/auto/upload`;
+    resume.uploadId = resume.uploadId || `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+    resume.offset = resume.offset || 0;
+
+    const total = file.size;
+    let result = null;
+    do {
+        const start = resume.offset;
+        const end = Math.min(start + CLOUDINARY_CHUNK_SIZE, total);
+
+        const formData = new FormData();
+        formData.append('file', file.slice(start, end), file.name);
+        formData.append('upload_preset', CLOUDINARY_UPLOAD_PRESET);
+        if (fields.folder) formData.append('folder', fields.folder);
+        if (fields.context) formData.append('context', fields.context);
+
+        result = await postWithProgress(cloudURL, formData, {
+            'X-Unique-Upload-Id': resume.uploadId,
+            'Content-Range': `bytes ${start}-${Math.max(end - 1, 0)}/${total}`
+        }, (loaded) => {
+            if (onProgress && total) {
+                onProgress(Math.min(100, Math.round(((start + loaded) / total) * 100)));
+            }
+        });
+        resume.offset = end;
+    } while (resume.offset < total);
+
+    if (!result || !result.secure_url) {
+        throw new Error('Cloudinary upload did not return a URL');
     }
+    return result;
+}
+
+/**
+ * POST form data with upload progress (fetch has no upload progress events)
+ * @param {string} url - Endpoint
+ * @param {FormData} formData - Body
+ * @param {Object} headers - Request headers
+ * @param {Function} onProgress - Receives bytes sent so far
+ * @returns {Promise<Object>} Parsed JSON response
+ */
+function postWithProgress(url, formData, headers, onProgress) {
+    return new Promise((resolve, reject) => {
+        const xhr = new XMLHttpRequest();
+        xhr.open('POST', url);
+        Object.entries(headers).forEach(([name, value]) => xhr.setRequestHeader(name, value));
+        xhr.upload.onprogress = (e) => onProgress(e.loaded);
+        xhr.onload = () => {
+            if (xhr.status >= 200 && xhr.status < 300) {
+                try {
+                    resolve(JSON.parse(xhr.responseText));
+                } catch (e) {
+                    reject(new Error('Invalid upload response'));
+                }
+            } else {
+                reject(new Error(`Cloudinary upload failed: ${xhr.status} ${xhr.responseText}`));
+            }
+        };
+        xhr.onerror = () => reject(new Error('Network error during upload'));
+        xhr.ontimeout = () => reject(new Error('Upload timed out'));
+        xhr.send(formData);
+    });
 }
 
 
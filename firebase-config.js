@@ -1,8 +1,8 @@
 // frontend/firebase-config.js
 import { initializeApp } from "https://www.gstatic.com/firebasejs/12.5.0/firebase-app.js";
 import { getAnalytics } from "https://www.gstatic.com/firebasejs/12.5.0/firebase-analytics.js";
-import { getAuth } from "https://www.gstatic.com/firebasejs/12.5.0/firebase-auth.js";
-import { getDatabase } from "https://www.gstatic.com/firebasejs/12.5.0/firebase-database.js";
+import { getAuth, connectAuthEmulator } from "https://www.gstatic.com/firebasejs/12.5.0/firebase-auth.js";
+import { getDatabase, connectDatabaseEmulator } from "https://www.gstatic.com/firebasejs/12.5.0/firebase-database.js";
 import { getStorage } from "https://www.gstatic.com/firebasejs/12.5.0/firebase-storage.js";
 
 const firebaseConfig = {
@@ -22,4 +22,18 @@ export const auth = getAuth(app);
 export const db = getDatabase(app);
 export const storage = getStorage(app);
 
+// Local emulators (`firebase emulators:start`, ports in firebase.json): open any page on localhost with ?emulator=1
+// The choice is remembered for the browser session; ?emulator=0 switches back to the live project
+const EMULATOR_STORAGE_KEY = 'ireport-emulator';
+const emulatorParam = new URLSearchParams(window.location.search).get('emulator');
+if (emulatorParam !== null) {
+  sessionStorage.setItem(EMULATOR_STORAGE_KEY, emulatorParam === '1' ? '1' : '0');
+}
+export const useEmulator = ['localhost', '127.0.0.1'].includes(window.location.hostname) &&
+  sessionStorage.getItem(EMULATOR_STORAGE_KEY) === '1';
+if (useEmulator) {
+  connectAuthEmulator(auth, 'http://127.0.0.1:9099', { disableWarnings: true });
+  connectDatabaseEmulator(db, '127.0.0.1', 9000);
+}
+
 export { firebaseConfig };
@@ -0,0 +1,16 @@
+// Map configuration (Leaflet + OpenStreetMap tiles)
+// The tile URL can point at a self-hosted tile folder so the map picker keeps working
+// without internet access, e.g. "./tiles/{z}/{x}/{y}.png" exported with a tool such as
+// MOBAC or TileMill for the municipality you cover. Leaflet itself is loaded from unpkg in
+// complaintForm.html and can be served from the same host for fully offline use.
+
+export const MAP_TILE_URL = "https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png";
+
+export const MAP_TILE_ATTRIBUTION = '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors';
+
+// Highest zoom level available from the tile source above
+export const MAP_MAX_ZOOM = 19;
+
+// Initial view when no pin is set (whole Philippines)
+export const MAP_DEFAULT_CENTER = [12.8797, 121.774];
+export const MAP_DEFAULT_ZOOM = 6;
@@ -0,0 +1,191 @@
+// Import Firebase services from config
+import { db, auth } from './firebase-config.js';
+import { listenToMyReporterIds } from './complaint-confidentiality.js';
+import { ref, push, set, update, onValue, off } from "https://www.gstatic.com/firebasejs/12.5.0/firebase-database.js";
+
+/**
+ * Notification types written to notifications/{userId}
+ * (userId is the reporter ID for notifications about a confidential complaint)
+ */
+export const NOTIFICATION_TYPES = {
+    STATUS_UPDATE: 'complaint_status_update',
+    PROOF_UPLOADED: 'complaint_proof_uploaded',
+    ASSIGNED: 'complaint_assigned',
+    ESCALATED: 'complaint_escalated',
+    MESSAGE: 'complaint_message'
+};
+
+/**
+ * Build a notification and its database path
+ * @param {string} userId - Recipient user ID
+ * @param {Object} notification - Notification fields (type, title, message, relatedComplaintId)
+ * @returns {Object} Object with path and value, ready for a multi-path update
+ */
+export function createNotificationEntry(userId, notification) {
+    const notificationRef = push(ref(db, `notifications/${userId}`));
+    return {
+        path: `notifications/${userId}/${notificationRef.key}`,
+        value: {
+            id: notificationRef.key,
+            userId: userId,
+            type: notification.type || NOTIFICATION_TYPES.STATUS_UPDATE,
+            title: notification.title,
+            message: notification.message,
+            read: false,
+            createdAt: Date.now(),
+            relatedComplaintId: notification.relatedComplaintId || null
+        }
+    };
+}
+
+/**
+ * Send a notification to a user
+ * @param {string} userId - Recipient user ID
+ * @param {Object} notification - Notification fields (type, title, message, relatedComplaintId)
+ * @returns {Promise<Object>} Result object
+ */
+export async function sendNotification(userId, notification) {
+    try {
+        const entry = createNotificationEntry(userId, notification);
+        await set(ref(db, entry.path), entry.value);
+
+        return {
+            success: true,
+            notificationId: entry.value.id
+        };
+    } catch (error) {
+        console.error("Error sending notification:", error);
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+}
+
+/**
+ * Get the current user's notifications in real-time (newest first)
+ * Notifications about confidential complaints are kept under their reporter IDs and merged in
+ * @param {Function} callback - Callback function that receives notifications array
+ * @returns {Function} Unsubscribe function
+ */
+export function getUserNotifications(callback) {
+    try {
+        const user = auth.currentUser;
+        if (!user) {
+            callback([]);
+            return () => {};
+        }
+
+        const inboxRefs = {};
+        const inboxes = {};
+        const emit = () => {
+            const notifications = [].concat(...Object.values(inboxes));
+            notifications.sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
+            callback(notifications);
+        };
+        const listenToInbox = (recipientId) => {
+            inboxRefs[recipientId] = ref(db, `notifications/${recipientId}`);
+            onValue(inboxRefs[recipientId], (snapshot) => {
+                inboxes[recipientId] = [];
+                snapshot.forEach((childSnapshot) => {
+                    inboxes[recipientId].push({
+                        ...childSnapshot.val(),
+                        id: childSnapshot.key,
+                        userId: recipientId
+                    });
+                });
+                emit();
+            });
+        };
+
+        listenToInbox(user.uid);
+        const stopReporters = listenToMyReporterIds((reporterIds) => {
+            Object.keys(inboxRefs).forEach(recipientId => {
+                if (recipientId === user.uid || reporterIds[recipientId]) return;
+                off(inboxRefs[recipientId]);
+                delete inboxRefs[recipientId];
+                delete inboxes[recipientId];
+            });
+            Object.keys(reporterIds).forEach(reporterId => {
+                if (!inboxRefs[reporterId]) listenToInbox(reporterId);
+            });
+            emit();
+        });
+
+        return () => {
+            stopReporters();
+            Object.values(inboxRefs).forEach(inboxRef => off(inboxRef));
+        };
+    } catch (error) {
+        console.error("Error getting notifications:", error);
+        callback([]);
+        return () => {};
+    }
+}
+
+/**
+ * Mark a notification as read
+ * @param {string} notificationId - Notification ID
+ * @param {string} recipientId - Optional inbox of the notification (its userId), defaults to the current user's
+ * @returns {Promise<Object>} Result object
+ */
+export async function markNotificationRead(notificationId, recipientId = null) {
+    try {
+        const user = auth.currentUser;
+        if (!user) {
+            return {
+                success: false,
+                error: "You must be logged in to update notifications"
+            };
+        }
+
+        await set(ref(db, `notifications/${recipientId || user.uid}/${notificationId}/read`), true);
+
+        return {
+            success: true
+        };
+    } catch (error) {
+        console.error("Error marking notification as read:", error);
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+}
+
+/**
+ * Mark all of the given notifications as read
+ * @param {Array<Object>} notifications - Notifications from getUserNotifications
+ * @returns {Promise<Object>} Result object
+ */
+export async function markAllNotificationsRead(notifications) {
+    try {
+        const user = auth.currentUser;
+        if (!user) {
+            return {
+                success: false,
+                error: "You must be logged in to update notifications"
+            };
+        }
+
+        const updates = {};
+        (notifications || []).forEach((n) => {
+            if (!n.read) {
+                updates[`notifications/${n.userId || user.uid}/${n.id}/read`] = true;
+            }
+        });
+        if (Object.keys(updates).length) {
+            await update(ref(db), updates);
+        }
+
+        return {
+            success: true
+        };
+    } catch (error) {
+        console.error("Error marking notifications as read:", error);
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+}
@@ -0,0 +1,216 @@
+// Import Firebase services from config
+import { db, auth } from './firebase-config.js';
+import { getUserAccess, hasPermission } from './auth.js';
+import { getComplaintSettings, getSettingLabel, getSettingColor } from './complaint-settings.js';
+import { getStatusWorkflow, getStatusKeys, getStatusLabel, getStatusColor } from './complaint-workflow.js';
+import { commitWithAudit, AUDIT_ACTIONS } from './audit-log.js';
+import { getTimeToResolution } from './complaint-timing.js';
+import { ref, get } from "https://www.gstatic.com/firebasejs/12.5.0/firebase-database.js";
+
+/**
+ * Public transparency statistics
+ * Supervisors publish aggregates of every complaint to publicStats, which anyone can read;
+ * the complaints themselves stay private. The aggregates carry their own labels and colors
+ * because visitors cannot read the settings node:
+ * { generatedAt, totals: { total, open, resolved, rejected },
+ *   byStatus/{status}, byCategory/{category}: { label, color, count },
+ *   byArea/{areaKey}: { label, count, resolved },
+ *   resolution: { count, medianHours, averageHours },
+ *   monthly/{YYYY-MM}: { filed, resolved } }
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+// Areas with fewer complaints than this are grouped together so no single report stands out
+export const MIN_PUBLIC_AREA_COUNT = 3;
+// Months of history shown in the trend
+export const PUBLIC_TREND_MONTHS = 12;
+// The analytics page republishes statistics older than this
+export const PUBLIC_STATS_MAX_AGE_MS = 24 * HOUR_MS;
+const OTHER_AREAS_KEY = 'other';
+const CLOSED_STATUSES = ['resolved', 'rejected'];
+
+/**
+ * Build the public aggregates from raw complaints
+ * Only counts and durations leave this function: no titles, descriptions, reporters or exact locations.
+ * Time to resolve is measured from filing to resolvedAt, as on the analytics page.
+ * @param {Array<Object>} complaints - Complaints
+ * @param {Object} settings - Settings object from getComplaintSettings
+ * @param {Object} workflow - Workflow object from getStatusWorkflow
+ * @param {number} now - Current time
+ * @returns {Object} Aggregates, ready to store in publicStats
+ */
+export function computePublicStats(complaints, settings, workflow, now = Date.now()) {
+    const byStatus = {};
+    getStatusKeys(workflow).forEach(status => {
+        byStatus[status] = { label: getStatusLabel(workflow, status), color: getStatusColor(workflow, status), count: 0 };
+    });
+
+    const byCategory = {};
+    const areas = {};
+    const monthly = {};
+    const start = new Date(now);
+    for (let i = PUBLIC_TREND_MONTHS - 1; i >= 0; i--) {
+        monthly[getMonthKey(new Date(start.getFullYear(), start.getMonth() - i, 1).getTime())] = { filed: 0, resolved: 0 };
+    }
+
+    const durations = [];
+    complaints.forEach(c => {
+        const status = c.status || 'pending';
+        if (!byStatus[status]) {
+            byStatus[status] = { label: getStatusLabel(workflow, status), color: getStatusColor(workflow, status), count: 0 };
+        }
+        byStatus[status].count++;
+
+        const category = c.category || 'uncategorized';
+        if (!byCategory[category]) {
+            byCategory[category] = {
+                label: c.category ? getSettingLabel(settings, 'categories', category) : 'Uncategorized',
+                color: getSettingColor(settings, 'categories', category),
+                count: 0
+            };
+        }
+        byCategory[category].count++;
+
+        // Only the structured barangay/city is used, free-text locations may hold a street address
+        const details = c.locationDetails || {};
+        const label = details.barangay ? [details.barangay, details.city].filter(Boolean).join(', ') : 'Unspecified area';
+        if (!areas[label]) areas[label] = { label, count: 0, resolved: 0 };
+        areas[label].count++;
+
+        const filedMonth = monthly[getMonthKey(c.createdAt)];
+        if (filedMonth) filedMonth.filed++;
+        if (status === 'resolved') {
+            areas[label].resolved++;
+            const resolvedMonth = monthly[getMonthKey(c.resolvedAt)];
+            if (resolvedMonth) resolvedMonth.resolved++;
+            const duration = getTimeToResolution(c);
+            if (duration !== null) durations.push(duration);
+        }
+    });
+
+    const byArea = {};
+    Object.values(areas).forEach(area => {
+        const key = area.count >= MIN_PUBLIC_AREA_COUNT ? createAreaKey(area.label) : OTHER_AREAS_KEY;
+        if (!byArea[key]) byArea[key] = { label: key === OTHER_AREAS_KEY ? 'Other areas' : area.label, count: 0, resolved: 0 };
+        byArea[key].count += area.count;
+        byArea[key].resolved += area.resolved;
+    });
+
+    durations.sort((a, b) => a - b);
+    const middle = Math.floor(durations.length / 2);
+    const median = durations.length % 2 ? durations[middle] : (durations[middle - 1] + durations[middle]) / 2;
+    const resolved = byStatus.resolved ? byStatus.resolved.count : 0;
+    const rejected = byStatus.rejected ? byStatus.rejected.count : 0;
+
+    return {
+        generatedAt: now,
+        totals: {
+            total: complaints.length,
+            open: complaints.filter(c => !CLOSED_STATUSES.includes(c.status || 'pending')).length,
+            resolved: resolved,
+            rejected: rejected
+        },
+        byStatus: byStatus,
+        byCategory: byCategory,
+        byArea: byArea,
+        resolution: {
+            count: durations.length,
+            medianHours: durations.length ? Math.round(median / HOUR_MS * 10) / 10 : null,
+            averageHours: durations.length ? Math.round(durations.reduce((a, b) => a + b, 0) / durations.length / HOUR_MS * 10) / 10 : null
+        },
+        monthly: monthly
+    };
+}
+
+/**
+ * Recompute and publish the public statistics (admins and supervisors)
+ * @returns {Promise<Object>} Result object with the published stats
+ */
+export async function publishPublicStats() {
+    try {
+        const user = auth.currentUser;
+        if (!user) {
+            return {
+                success: false,
+                error: "You must be logged in to publish statistics"
+            };
+        }
+        if (!hasPermission(await getUserAccess(), 'publishStats')) {
+            return {
+                success: false,
+                error: "Only supervisors can publish statistics"
+            };
+        }
+
+        const [snapshot, settings, workflow] = await Promise.all([
+            get(ref(db, 'complaints')),
+            getComplaintSettings(true),
+            getStatusWorkflow(true)
+        ]);
+        const complaints = [];
+        snapshot.forEach((childSnapshot) => {
+            complaints.push(childSnapshot.val() || {});
+        });
+
+        const stats = computePublicStats(complaints, settings, workflow);
+        await commitWithAudit({ publicStats: stats }, {
+            action: AUDIT_ACTIONS.STATS_PUBLISHED,
+            targetType: 'publicStats',
+            summary: `${stats.totals.total} complaints`,
+            after: { totals: stats.totals, medianHours: stats.resolution.medianHours }
+        });
+
+        return {
+            success: true,
+            data: stats,
+            message: "Public statistics updated"
+        };
+    } catch (error) {
+        console.error("Error publishing statistics:", error);
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+}
+
+/**
+ * Get the published statistics (no sign-in needed)
+ * @returns {Promise<Object>} Result object with data (null if nothing was published yet)
+ */
+export async function getPublicStats() {
+    try {
+        const snapshot = await get(ref(db, 'publicStats'));
+        return {
+            success: true,
+            data: snapshot.val()
+        };
+    } catch (error) {
+        console.error("Error getting public statistics:", error);
+        return {
+            success: false,
+            error: error.message,
+            data: null
+        };
+    }
+}
+
+/**
+ * Get the month bucket of a timestamp
+ * @param {number} timestamp - Timestamp
+ * @returns {string|null} "YYYY-MM", or null without a timestamp
+ */
+function getMonthKey(timestamp) {
+    if (!timestamp) return null;
+    const date = new Date(timestamp);
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+}
+
+/**
+ * Build a database key for an area label
+ * @param {string} label - "Barangay, City"
+ * @returns {string} Key (lowercase letters, digits and underscores)
+ */
+function createAreaKey(label) {
+    return label.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '') || OTHER_AREAS_KEY;
+}
@@ -0,0 +1,414 @@
+// Import Firebase services from config
+import { db, auth } from './firebase-config.js';
+import { isAdmin, addRoleGrant, getRoleAuditEntry, validateRoleScope, ROLES, STAFF_ROLES } from './auth.js';
+import { commitWithAudit, AUDIT_ACTIONS } from './audit-log.js';
+import { ref, push, set, get, query, orderByChild, equalTo, limitToLast, onValue, off } from "https://www.gstatic.com/firebasejs/12.5.0/firebase-database.js";
+
+/**
+ * Staff onboarding
+ * Admins invite an email address to a role in roleInvites/{inviteId}
+ * ({ email, role, scope, createdBy, createdByName, createdAt, expiresAt, acceptedBy, acceptedAt, revokedAt, revokedBy });
+ * the invitee accepts after signing in with Google, and the role change is recorded in roleGrants.
+ * The very first admin claims system/bootstrap, which can only be written once.
+ */
+
+export const INVITE_TTL_DAYS = 7;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Describe where an invite stands
+ * @param {Object} invite - Invite
+ * @param {number} now - Current time
+ * @returns {string} 'pending', 'accepted', 'revoked' or 'expired'
+ */
+export function getInviteState(invite, now = Date.now()) {
+    if (invite.acceptedBy) return 'accepted';
+    if (invite.revokedAt) return 'revoked';
+    return invite.expiresAt > now ? 'pending' : 'expired';
+}
+
+/**
+ * Check whether the first admin has been set up
+ * @returns {Promise<Object>} Result object with locked flag
+ */
+export async function getBootstrapStatus() {
+    try {
+        const snapshot = await get(ref(db, 'system/bootstrap'));
+        return {
+            success: true,
+            locked: snapshot.exists(),
+            data: snapshot.val()
+        };
+    } catch (error) {
+        console.error("Error getting bootstrap status:", error);
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+}
+
+/**
+ * Make the signed-in user the first admin
+ * Only works once: the same write locks system/bootstrap for good.
+ * @returns {Promise<Object>} Result object
+ */
+export async function bootstrapFirstAdmin() {
+    try {
+        const user = auth.currentUser;
+        if (!user) {
+            return {
+                success: false,
+                error: "No user is currently logged in"
+            };
+        }
+
+        const status = await getBootstrapStatus();
+        if (!status.success) {
+            return status;
+        }
+        if (status.locked) {
+            return {
+                success: false,
+                error: "An admin has already been set up. Ask an admin for an invite."
+            };
+        }
+
+        const userSnap = await get(ref(db, `users/${user.uid}`));
+        const userData = userSnap.val() || {};
+        const now = Date.now();
+        const updates = {
+            'system/bootstrap': {
+                adminId: user.uid,
+                email: user.email || null,
+                createdAt: now
+            }
+        };
+        if (!userSnap.exists()) {
+            updates[`users/${user.uid}/uid`] = user.uid;
+            updates[`users/${user.uid}/email`] = user.email || '';
+            updates[`users/${user.uid}/displayName`] = user.displayName || '';
+            updates[`users/${user.uid}/createdAt`] = now;
+        }
+        addRoleGrant(updates, {
+            userId: user.uid,
+            email: user.email,
+            fromRole: userData.role || ROLES.USER,
+            toRole: ROLES.ADMIN,
+            via: 'bootstrap'
+        });
+        await commitWithAudit(updates, getRoleAuditEntry(updates, user.uid, userData));
+
+        return {
+            success: true,
+            message: `${user.email || user.uid} is now the first admin`
+        };
+    } catch (error) {
+        console.error("Error setting up first admin:", error);
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+}
+
+/**
+ * Lock the first-admin setup on databases whose admins predate it (admin only)
+ * @returns {Promise<Object>} Result object
+ */
+export async function lockBootstrap() {
+    try {
+        const user = auth.currentUser;
+        if (!user || !(await isAdmin())) {
+            return {
+                success: false,
+                error: "Only admins can lock the first-admin setup"
+            };
+        }
+        const status = await getBootstrapStatus();
+        if (!status.success || status.locked) {
+            return status;
+        }
+        await set(ref(db, 'system/bootstrap'), {
+            adminId: user.uid,
+            email: user.email || null,
+            createdAt: Date.now()
+        });
+        return {
+            success: true,
+            locked: true
+        };
+    } catch (error) {
+        console.error("Error locking bootstrap:", error);
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+}
+
+/**
+ * Invite an email address to a staff role (admin only)
+ * @param {Object} invite - { email, role, scope, ttlDays }
+ * @returns {Promise<Object>} Result object with inviteId
+ */
+export async function createRoleInvite(invite) {
+    try {
+        const user = auth.currentUser;
+        if (!user || !(await isAdmin())) {
+            return {
+                success: false,
+                error: "Only admins can invite staff"
+            };
+        }
+
+        const email = String(invite.email || '').trim().toLowerCase();
+        if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+            return {
+                success: false,
+                error: "Please enter a valid email address"
+            };
+        }
+        if (!STAFF_ROLES.includes(invite.role)) {
+            return {
+                success: false,
+                error: "Invites are for staff roles only"
+            };
+        }
+        const validation = validateRoleScope(invite.role, invite.scope);
+        if (!validation.success) {
+            return validation;
+        }
+
+        const now = Date.now();
+        const ttlDays = Number(invite.ttlDays) > 0 ? Number(invite.ttlDays) : INVITE_TTL_DAYS;
+        const inviteRef = push(ref(db, 'roleInvites'));
+        const value = {
+            email: email,
+            role: invite.role,
+            scope: (invite.role === ROLES.STAFF || invite.role === ROLES.BARANGAY) && invite.scope ? invite.scope : null,
+            createdBy: user.uid,
+            createdByName: user.displayName || user.email || 'Admin',
+            createdAt: now,
+            expiresAt: now + ttlDays * DAY_MS
+        };
+        await commitWithAudit({ [`roleInvites/${inviteRef.key}`]: value }, {
+            action: AUDIT_ACTIONS.INVITE_CREATED,
+            targetType: 'invite',
+            targetId: inviteRef.key,
+            summary: email,
+            after: { email: email, role: value.role, scope: value.scope, expiresAt: value.expiresAt }
+        });
+
+        return {
+            success: true,
+            inviteId: inviteRef.key,
+            message: `Invite created for ${email}`
+        };
+    } catch (error) {
+        console.error("Error creating invite:", error);
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+}
+
+/**
+ * Revoke a pending invite (admin only)
+ * @param {string} inviteId - Invite ID
+ * @returns {Promise<Object>} Result object
+ */
+export async function revokeRoleInvite(inviteId) {
+    try {
+        const user = auth.currentUser;
+        if (!user || !(await isAdmin())) {
+            return {
+                success: false,
+                error: "Only admins can revoke invites"
+            };
+        }
+        const snapshot = await get(ref(db, `roleInvites/${inviteId}`));
+        if (!snapshot.exists() || getInviteState(snapshot.val()) !== 'pending') {
+            return {
+                success: false,
+                error: "This invite is no longer pending"
+            };
+        }
+        const invite = snapshot.val();
+        await commitWithAudit({
+            [`roleInvites/${inviteId}/revokedAt`]: Date.now(),
+            [`roleInvites/${inviteId}/revokedBy`]: user.uid
+        }, {
+            action: AUDIT_ACTIONS.INVITE_REVOKED,
+            targetType: 'invite',
+            targetId: inviteId,
+            summary: invite.email,
+            before: { email: invite.email, role: invite.role, expiresAt: invite.expiresAt }
+        });
+        return {
+            success: true,
+            message: "Invite revoked"
+        };
+    } catch (error) {
+        console.error("Error revoking invite:", error);
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+}
+
+/**
+ * Listen to every invite (admin only)
+ * @param {Function} callback - Receives the invites array (newest first)
+ * @returns {Function} Unsubscribe function
+ */
+export function listenToRoleInvites(callback) {
+    return listenToList(ref(db, 'roleInvites'), callback);
+}
+
+/**
+ * Listen to the latest role grants and revocations (admin only)
+ * @param {Function} callback - Receives the grants array (newest first)
+ * @param {number} limit - Number of entries to load
+ * @returns {Function} Unsubscribe function
+ */
+export function listenToRoleGrants(callback, limit = 50) {
+    return listenToList(query(ref(db, 'roleGrants'), orderByChild('createdAt'), limitToLast(limit)), callback);
+}
+
+/**
+ * Get the pending invites for the signed-in user's email
+ * @returns {Promise<Object>} Result object with invites array
+ */
+export async function getMyRoleInvites() {
+    try {
+        const user = auth.currentUser;
+        if (!user || !user.email) {
+            return {
+                success: false,
+                error: "Sign in with Google to see your invites",
+                data: []
+            };
+        }
+        const snapshot = await get(query(ref(db, 'roleInvites'), orderByChild('email'), equalTo(user.email.toLowerCase())));
+        const invites = [];
+        snapshot.forEach((childSnapshot) => {
+            const invite = { id: childSnapshot.key, ...childSnapshot.val() };
+            if (getInviteState(invite) === 'pending') invites.push(invite);
+        });
+        return {
+            success: true,
+            data: invites
+        };
+    } catch (error) {
+        console.error("Error getting invites:", error);
+        return {
+            success: false,
+            error: error.message,
+            data: []
+        };
+    }
+}
+
+/**
+ * Accept an invite as the signed-in user
+ * The invite must be pending and addressed to the user's Google email.
+ * @param {string} inviteId - Invite ID
+ * @returns {Promise<Object>} Result object
+ */
+export async function acceptRoleInvite(inviteId) {
+    try {
+        const user = auth.currentUser;
+        if (!user) {
+            return {
+                success: false,
+                error: "Sign in with Google to accept the invite"
+            };
+        }
+
+        const snapshot = await get(ref(db, `roleInvites/${inviteId}`));
+        if (!snapshot.exists()) {
+            return {
+                success: false,
+                error: "Invite not found"
+            };
+        }
+        const invite = snapshot.val();
+        if ((user.email || '').toLowerCase() !== invite.email) {
+            return {
+                success: false,
+                error: `This invite is for ${invite.email}. Sign in with that Google account.`
+            };
+        }
+        const state = getInviteState(invite);
+        if (state !== 'pending') {
+            return {
+                success: false,
+                error: `This invite is ${state}. Ask an admin for a new one.`
+            };
+        }
+
+        const userSnap = await get(ref(db, `users/${user.uid}`));
+        const userData = userSnap.val() || {};
+        const now = Date.now();
+        const updates = {
+            [`roleInvites/${inviteId}/acceptedBy`]: user.uid,
+            [`roleInvites/${inviteId}/acceptedAt`]: now
+        };
+        // The rules only accept a grant whose role and scope are the invite's
+        addRoleGrant(updates, {
+            userId: user.uid,
+            email: user.email,
+            fromRole: userData.role || ROLES.USER,
+            toRole: invite.role,
+            scope: invite.scope,
+            via: 'invite',
+            inviteId: inviteId
+        });
+        await commitWithAudit(updates, getRoleAuditEntry(updates, user.uid, userData));
+
+        return {
+            success: true,
+            role: invite.role,
+            message: `You now have the ${invite.role} role`
+        };
+    } catch (error) {
+        console.error("Error accepting invite:", error);
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+}
+
+/**
+ * Listen to a list node
+ * @param {Object} listRef - Database reference or query
+ * @param {Function} callback - Receives the entries array (newest first)
+ * @returns {Function} Unsubscribe function
+ */
+function listenToList(listRef, callback) {
+    try {
+        onValue(listRef, (snapshot) => {
+            const entries = [];
+            snapshot.forEach((childSnapshot) => {
+                entries.push({
+                    id: childSnapshot.key,
+                    ...childSnapshot.val()
+                });
+            });
+            entries.sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
+            callback(entries);
+        }, (error) => {
+            console.error("Error listening to list:", error);
+            callback([]);
+        });
+        return () => off(listRef);
+    } catch (error) {
+        console.error("Error listening to list:", error);
+        callback([]);
+        return () => {};
+    }
+}
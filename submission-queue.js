@@ -0,0 +1,299 @@
+// Import Firebase services from config
+import { auth } from './firebase-config.js';
+import { submitComplaint, createComplaintId, getReservedComplaint } from './complaintForm.js';
+
+/**
+ * Offline complaint submission queue
+ * Submissions that cannot reach the database are kept in IndexedDB (with their files)
+ * and replayed when the device is back online.
+ * Entry status: queued -> syncing -> sent
+ */
+const DB_NAME = 'ireport-offline';
+const DB_VERSION = 1;
+const STORE_NAME = 'submissions';
+const SYNC_TIMEOUT_MS = 30000;
+const RETRY_INTERVAL_MS = 60000;
+const SENT_RETENTION_MS = 24 * 60 * 60 * 1000;
+
+let dbPromise = null;
+let syncing = false;
+
+/**
+ * Open (and create on first use) the offline IndexedDB database
+ * @returns {Promise<IDBDatabase>} Database handle
+ */
+function openQueueDb() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            if (!('indexedDB' in window)) {
+                reject(new Error('IndexedDB is not supported in this browser'));
+                return;
+            }
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+                store.createIndex('userId', 'userId', { unique: false });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        dbPromise.catch(() => { dbPromise = null; });
+    }
+    return dbPromise;
+}
+
+/**
+ * Run a single request against the submissions store
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} action - Receives the object store and returns an IDBRequest
+ * @returns {Promise<any>} Request result
+ */
+async function withStore(mode, action) {
+    const idb = await openQueueDb();
+    return new Promise((resolve, reject) => {
+        const tx = idb.transaction(STORE_NAME, mode);
+        const request = action(tx.objectStore(STORE_NAME));
+        tx.oncomplete = () => resolve(request.result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
+
+/**
+ * Save a complaint on this device so it can be sent later
+ * @param {Object} complaintData - Complaint data object (same shape as submitComplaint)
+ * @param {Array<File>} files - Optional files to upload with it
+ * @param {string} complaintId - Optional ID already reserved with createComplaintId
+ * @returns {Promise<Object>} Result object
+ */
+export async function queueComplaint(complaintData, files = [], complaintId = null) {
+    try {
+        const user = auth.currentUser;
+        if (!user) {
+            return {
+                success: false,
+                error: "You must be logged in to submit a complaint"
+            };
+        }
+
+        const fileList = (Array.isArray(files) ? files : [files]).filter(Boolean);
+        const now = Date.now();
+        const entry = {
+            id: complaintId || createComplaintId(),
+            userId: user.uid,
+            complaintData: complaintData,
+            files: fileList,
+            fileMeta: fileList.map(file => ({ name: file.name, type: file.type })),
+            status: 'queued',
+            attempts: 0,
+            lastError: null,
+            createdAt: now,
+            updatedAt: now
+        };
+        await withStore('readwrite', (store) => store.put(entry));
+
+        return {
+            success: true,
+            message: "You're offline. Your complaint was saved on this device and will be sent automatically when you're back online.",
+            queueId: entry.id
+        };
+    } catch (error) {
+        console.error("Error queueing complaint:", error);
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+}
+
+/**
+ * Get the current user's queued submissions (newest first)
+ * Sent entries are dropped after a day
+ * @returns {Promise<Array>} Queue entries
+ */
+export async function getQueuedSubmissions() {
+    try {
+        const user = auth.currentUser;
+        if (!user) return [];
+
+        const entries = await withStore('readonly', (store) => store.index('userId').getAll(user.uid));
+        const now = Date.now();
+        const stale = entries.filter(e => e.status === 'sent' && now - (e.updatedAt || 0) > SENT_RETENTION_MS);
+        for (const entry of stale) {
+            await removeQueuedSubmission(entry.id);
+        }
+
+        return entries
+            .filter(e => !stale.includes(e))
+            .sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
+    } catch (error) {
+        console.error("Error reading submission queue:", error);
+        return [];
+    }
+}
+
+/**
+ * Remove an entry from the queue
+ * @param {string} queueId - Queue entry ID
+ * @returns {Promise<Object>} Result object
+ */
+export async function removeQueuedSubmission(queueId) {
+    try {
+        await withStore('readwrite', (store) => store.delete(queueId));
+        return {
+            success: true
+        };
+    } catch (error) {
+        console.error("Error removing queued submission:", error);
+        return {
+            success: false,
+            error: error.message
+        };
+    }
+}
+
+/**
+ * Update fields of a queue entry
+ * @param {Object} entry - Queue entry
+ * @param {Object} changes - Fields to change
+ * @returns {Promise<Object>} Updated entry
+ */
+async function saveEntry(entry, changes) {
+    const updated = { ...entry, ...changes, updatedAt: Date.now() };
+    await withStore('readwrite', (store) => store.put(updated));
+    return updated;
+}
+
+/**
+ * Get the files of a queue entry as File objects
+ * Some browsers hand stored files back as plain Blobs without a name
+ * @param {Object} entry - Queue entry
+ * @returns {Array<File>} Files in their original order
+ */
+function restoreFiles(entry) {
+    // Entries queued before attachments were supported hold a single `file`
+    const files = entry.files || (entry.file ? [entry.file] : []);
+    const meta = entry.fileMeta || [{ name: entry.fileName, type: entry.fileType }];
+    return files.map((file, index) => {
+        if (file.name) return file;
+        const info = meta[index] || {};
+        return new File([file], info.name || `attachment-${index + 1}`, { type: info.type || file.type });
+    });
+}
+
+/**
+ * Reject if a promise does not settle in time
+ * @param {Promise} promise - Promise to wait for
+ * @param {number} ms - Timeout in milliseconds
+ * @returns {Promise<any>} Promise result
+ */
+function withTimeout(promise, ms) {
+    let timeoutId;
+    const timeout = new Promise((_, reject) => {
+        timeoutId = setTimeout(() => reject(new Error('Sending took too long')), ms);
+    });
+    return Promise.race([
+        promise.finally(() => clearTimeout(timeoutId)),
+        timeout
+    ]);
+}
+
+/**
+ * Send every queued submission of the current user
+ * @param {Function} onChange - Optional callback that receives the queue after each change
+ * @returns {Promise<Object>} Result object with sent and pending counts
+ */
+export async function processQueue(onChange = null) {
+    if (syncing) {
+        return {
+            success: false,
+            error: "Queue is already syncing"
+        };
+    }
+    if (!navigator.onLine) {
+        return {
+            success: false,
+            error: "Device is offline"
+        };
+    }
+
+    syncing = true;
+    let sent = 0;
+    let pending = 0;
+    const notify = async () => {
+        if (onChange) onChange(await getQueuedSubmissions());
+    };
+
+    try {
+        const entries = (await getQueuedSubmissions()).filter(e => e.status !== 'sent');
+        for (let entry of entries) {
+            entry = await saveEntry(entry, { status: 'syncing' });
+            await notify();
+
+            try {
+                // A timed-out submission may have reached the database after all
+                const existing = await withTimeout(getReservedComplaint(entry.id), SYNC_TIMEOUT_MS);
+                if (!existing) {
+                    // Nobody is there to answer a duplicate prompt, so queued complaints are sent as they are
+                    const result = await withTimeout(
+                        submitComplaint(entry.complaintData, restoreFiles(entry), { complaintId: entry.id, createdAt: entry.createdAt, skipDuplicateCheck: true }),
+                        SYNC_TIMEOUT_MS
+                    );
+                    if (!result.success) {
+                        throw new Error(result.error);
+                    }
+                }
+
+                await saveEntry(entry, { status: 'sent', files: [], file: null, lastError: null });
+                sent++;
+            } catch (error) {
+                console.warn('Queued complaint not sent yet:', entry.id, error?.message || error);
+                await saveEntry(entry, {
+                    status: 'queued',
+                    attempts: (entry.attempts || 0) + 1,
+                    lastError: error?.message || String(error)
+                });
+                pending++;
+            }
+            await notify();
+        }
+
+        return {
+            success: true,
+            sent,
+            pending
+        };
+    } catch (error) {
+        console.error("Error processing submission queue:", error);
+        return {
+            success: false,
+            error: error.message
+        };
+    } finally {
+        syncing = false;
+    }
+}
+
+/**
+ * Keep the queue syncing: now, whenever the device comes back online, and periodically while entries are pending
+ * @param {Function} onChange - Callback that receives the current user's queue after each change
+ * @returns {Function} Stop function
+ */
+export function startQueueSync(onChange = null) {
+    const run = async () => {
+        const entries = await getQueuedSubmissions();
+        if (onChange) onChange(entries);
+        if (entries.some(e => e.status !== 'sent')) {
+            await processQueue(onChange);
+        }
+    };
+
+    window.addEventListener('online', run);
+    const intervalId = setInterval(run, RETRY_INTERVAL_MS);
+    run();
+
+    return () => {
+        window.removeEventListener('online', run);
+        clearInterval(intervalId);
+    };
+}
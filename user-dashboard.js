@@ -1,9 +1,12 @@
 // Import Firebase services from config
 import { db, auth } from './firebase-config.js';
-import { ref, query, orderByChild, equalTo, onValue, off, get, remove } from "https://www.gstatic.com/firebasejs/12.5.0/firebase-database.js";
+import { addTrackingUpdate } from './complaint-tracking.js';
+import { listenToMyConfidentialComplaints, isConfidential, isOwnComplaint } from './complaint-confidentiality.js';
+import { withComplaintImages } from './complaint-images.js';
+import { ref, query, orderByChild, equalTo, onValue, off, get, update } from "https://www.gstatic.com/firebasejs/12.5.0/firebase-database.js";
 
 /**
- * Get all complaints for the current user
+ * Get all complaints for the current user, including the ones filed confidentially
  * @param {Function} callback - Callback function that receives complaints array
  * @returns {Function} Unsubscribe function
  */
@@ -19,22 +22,42 @@ export function getUserComplaints(callback) {
             equalTo(userId)
         );
         
+        let ownComplaints = [];
+        let confidentialComplaints = [];
+        let emitCount = 0;
+        const emit = async () => {
+            const complaints = [...ownComplaints, ...confidentialComplaints];
+            // Sort by creation date (newest first)
+            complaints.sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
+            // Preview images are stored apart from the complaints; only the latest update is passed on
+            const emitted = ++emitCount;
+            const withImages = await withComplaintImages(complaints);
+            if (emitted === emitCount) callback(withImages);
+        };
+
         // Listen for real-time updates
         onValue(userComplaintsQuery, (snapshot) => {
-            const complaints = [];
+            ownComplaints = [];
             snapshot.forEach((childSnapshot) => {
-                complaints.push({
+                ownComplaints.push({
                     id: childSnapshot.key,
                     ...childSnapshot.val()
                 });
             });
-            // Sort by creation date (newest first)
-            complaints.sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
-            callback(complaints);
+            emit();
+        });
+
+        // Confidential complaints are filed under reporter IDs
+        const stopConfidential = listenToMyConfidentialComplaints((complaints) => {
+            confidentialComplaints = complaints;
+            emit();
         });
         
         // Return function to unsubscribe
-        return () => off(userComplaintsQuery);
+        return () => {
+            off(userComplaintsQuery);
+            stopConfidential();
+        };
     } catch (error) {
         console.error("Error getting user complaints:", error);
         callback([]);
@@ -53,12 +76,10 @@ export async function getComplaintById(complaintId) {
         const snapshot = await get(complaintRef);
         
         if (snapshot.exists()) {
+            const [complaint] = await withComplaintImages([{ id: snapshot.key, ...snapshot.val() }]);
             return {
                 success: true,
-                data: {
-                    id: snapshot.key,
-                    ...snapshot.val()
-                }
+                data: complaint
             };
         } else {
             return {
@@ -102,15 +123,23 @@ export async function deleteComplaint(complaintId) {
         }
 
         const complaintData = snapshot.val();
-        if (complaintData.userId !== user.uid) {
+        if (!(await isOwnComplaint(complaintData))) {
             return {
                 success: false,
                 error: "You can only delete your own complaints"
             };
         }
 
-        // Delete the complaint
-        await remove(complaintRef);
+        // Delete the complaint, its preview images, its public tracking copy and, for confidential complaints, the sealed identity
+        const updates = {
+            [`complaints/${complaintId}`]: null,
+            [`complaintImages/${complaintId}`]: null
+        };
+        addTrackingUpdate(updates, complaintId, complaintData, { deleted: true });
+        if (isConfidential(complaintData)) {
+            updates[`confidentialReporters/${complaintData.userId}`] = null;
+        }
+        await update(ref(db), updates);
         
         return {
             success: true,